@@ -31,13 +31,21 @@ class ApiKeyManager {
     console.log('[ApiKeyManager] Anthropic API key saved');
   }
 
-  // Check which keys are configured
+  // Check which keys are configured and which ones the selected providers still need
   async getKeyStatus() {
     const storage = await chrome.storage.sync.get(['openaiApiKey', 'anthropicApiKey']);
+    const settings = await loadSettings();
+    const missing = [];
+
+    const needsOpenAi = settings.speechProvider === 'openai' || settings.llmProvider === 'openai';
+    if (needsOpenAi && !storage.openaiApiKey) missing.push('OpenAI');
+    if (settings.llmProvider === 'anthropic' && !storage.anthropicApiKey) missing.push('Anthropic');
+
     return {
       hasOpenAi: !!storage.openaiApiKey,
       hasAnthropic: !!storage.anthropicApiKey,
-      ready: !!storage.openaiApiKey && !!storage.anthropicApiKey
+      missing,
+      ready: missing.length === 0
     };
   }
 
@@ -32,9 +32,10 @@ function sendToSidePanel(data) {
   }
 }
 
-// Import API Key Manager
-importScripts('api-key-manager.js');
+// Import settings defaults, LLM providers and API Key Manager
+importScripts('lib/settings.js', 'lib/llm-providers.js', 'api-key-manager.js');
 const apiKeyManager = new ApiKeyManager();
+const pendingLlmRequests = new Map(); // "tabId:requestId" → AbortController
 
 chrome.runtime.onInstalled.addListener((details) => {
   log('INFO', 'Extension installed/updated', {
@@ -71,6 +72,22 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
   }
 });
 
+chrome.commands.onCommand.addListener((command, tab) => {
+  log('INFO', 'Keyboard command received', { command, tabId: tab?.id });
+
+  const actions = { 'undo-change': 'undo', 'redo-change': 'redo' };
+  if (!actions[command] || !tab) return;
+
+  chrome.tabs.sendMessage(tab.id, { action: actions[command] }, () => {
+    if (chrome.runtime.lastError) {
+      log('ERROR', 'Failed to forward keyboard command', {
+        command,
+        error: chrome.runtime.lastError.message
+      });
+    }
+  });
+});
+
 chrome.action.onClicked.addListener((tab) => {
   log('INFO', 'Extension action clicked — opening side panel', {
     tabId: tab.id,
@@ -83,6 +100,12 @@ chrome.action.onClicked.addListener((tab) => {
 });
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Level meter updates arrive several times a second; relay them without logging
+  if (message.action === 'audioLevel') {
+    sendToSidePanel({ type: 'audioLevel', ...message.data });
+    return;
+  }
+
   log('INFO', 'Message received', {
     action: message.action,
     senderId: sender.id,
@@ -164,68 +187,53 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
-  // Proxy Claude API calls from content script (avoids CORS issues)
-  if (message.action === 'claudeComplete') {
-    log('INFO', 'Proxying Claude API request');
-
-    apiKeyManager.getAnthropicKey().then(anthropicKey => {
-      if (!anthropicKey) {
-        sendResponse({ success: false, error: 'Anthropic API key not configured. Please add it in Settings.' });
+  // Proxy command interpretation to the configured LLM provider (avoids CORS issues)
+  if (message.action === 'llmComplete') {
+    const requestKey = `${sender.tab?.id}:${message.requestId}`;
+    const controller = new AbortController();
+    if (message.requestId) pendingLlmRequests.set(requestKey, controller);
+
+    Promise.all([
+      loadSettings(),
+      apiKeyManager.getOpenAiKey(),
+      apiKeyManager.getAnthropicKey()
+    ]).then(async ([settings, openaiApiKey, anthropicApiKey]) => {
+      const provider = createLlmProvider(settings, { openaiApiKey, anthropicApiKey });
+      log('INFO', 'Proxying LLM request', { provider: provider.name, model: provider.model });
+
+      if (!provider.isConfigured()) {
+        sendResponse({ success: false, error: `${provider.name} is not configured. Please check Settings.` });
         return;
       }
 
-      fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'x-api-key': anthropicKey,
-          'anthropic-version': '2023-06-01',
-          'content-type': 'application/json',
-          'anthropic-dangerous-direct-browser-access': 'true'
-        },
-        body: JSON.stringify({
-          model: 'claude-haiku-4-5-20251001',
-          max_tokens: 1024,
-          system: message.systemPrompt,
-          messages: [
-            { role: 'user', content: message.userMessage }
-          ],
-          output_config: {
-            format: {
-              type: 'json_schema',
-              schema: message.schema
-            }
-          }
-        })
-      }).then(async (response) => {
-        if (!response.ok) {
-          const errorText = await response.text();
-          log('ERROR', 'Claude API request failed', {
-            status: response.status,
-            body: errorText
-          });
-          sendResponse({ success: false, error: `Claude API error: ${response.status} — ${errorText}` });
-          return;
-        }
-
-        const result = await response.json();
-        log('INFO', 'Claude API response received', {
-          stopReason: result.stop_reason,
-          contentLength: result.content?.[0]?.text?.length
-        });
-
-        sendResponse({ success: true, result });
-      }).catch((error) => {
-        log('ERROR', 'Claude API fetch failed', { error: error.message });
-        sendResponse({ success: false, error: error.message });
+      const command = await provider.complete({
+        systemPrompt: message.systemPrompt,
+        userMessage: message.userMessage,
+        schema: message.schema,
+        signal: controller.signal
       });
-    }).catch(error => {
-      log('ERROR', 'Failed to get Anthropic key', { error: error.message });
+      sendResponse({ success: true, command, provider: provider.name });
+    }).catch((error) => {
+      if (controller.signal.aborted) {
+        log('DEBUG', 'LLM request aborted', { requestId: message.requestId });
+        sendResponse({ success: false, aborted: true, error: 'Aborted' });
+        return;
+      }
+      log('ERROR', 'LLM request failed', { error: error.message });
       sendResponse({ success: false, error: error.message });
+    }).finally(() => {
+      pendingLlmRequests.delete(requestKey);
     });
 
     return true; // Keep channel open for async response
   }
 
+  // The content script no longer needs an interpretation (e.g. the user said "cancel")
+  if (message.action === 'llmAbort') {
+    pendingLlmRequests.get(`${sender.tab?.id}:${message.requestId}`)?.abort();
+    return;
+  }
+
   // Relay activity log events from content script to side panel
   if (message.action === 'activityLog') {
     sendToSidePanel({ type: 'activityLog', ...message.data });
@@ -6,9 +6,11 @@ class VoiceController {
     this.commandProcessor = null;
     this.elementDetector = new ElementDetector();
     this.domManipulator = new DOMManipulator();
+    this.changesetStore = new ChangesetStore();
+    this.siteSettings = { ...this.changesetStore.DEFAULT_SITE_SETTINGS };
 
     this.isStreamingMode = false;
-    this.apiKey = null;
+    this.settings = null;
     this.audioInitialized = false;
 
     // Transcript accumulator for partial/rejected transcripts
@@ -18,6 +20,23 @@ class VoiceController {
     this.ACCUMULATOR_MAX_FAILS = 3;
     this.ACCUMULATOR_STALENESS_MS = 15000;
 
+    this.confidencePolicy = new ConfidencePolicy();
+    this.wakePhrase = new WakePhraseGate();
+    this.chooser = new ClarificationChooser();
+    this.pendingPreview = null;
+    this.handlePreviewKey = this.handlePreviewKey.bind(this);
+    this.handlePushToTalkKey = this.handlePushToTalkKey.bind(this);
+    this.RECENT_COMMANDS_LIMIT = 20;
+    this.recentCommandsWrite = Promise.resolve();
+
+    // Utterances are transcribed and interpreted concurrently but applied in spoken order
+    this.utteranceQueue = new UtteranceQueue({
+      onDrop: (job, reason) => this.emitActivity('status', 'Dropped', `Utterance #${job.id} (${reason})`)
+    });
+
+    this.setupMessageListeners();
+    this.restorePersistedEdits();
+
     log('INFO', 'VoiceController initialized, starting initialization (no audio permissions)');
     this.initialize();
   }
@@ -25,28 +44,45 @@ class VoiceController {
   async initialize() {
     log('INFO', 'VoiceController initialization starting');
 
-    // Get API keys from background script
+    // Get settings and API keys from storage / background script
+    let openaiKey = null;
     try {
-      const response = await chrome.runtime.sendMessage({ action: 'getApiKeys' });
-
-      if (response.success && response.openaiKey) {
-        this.apiKey = response.openaiKey;
-        log('INFO', 'OpenAI API key retrieved', { hasApiKey: true });
-      } else {
-        log('WARN', 'API keys not configured');
-        this.showNotification('Please configure your API keys in the extension settings', 'warning');
-        return;
+      this.settings = await loadSettings();
+      this.confidencePolicy = new ConfidencePolicy(this.settings);
+      this.wakePhrase = new WakePhraseGate(this.settings.wakePhrase);
+      this.audioCapture.configure(this.settings.vad);
+      // Reopen the microphone on next start in case its settings changed
+      if (this.audioInitialized && !this.isStreamingMode) {
+        this.audioCapture.releaseMicrophone();
+        this.audioInitialized = false;
       }
+      const response = await chrome.runtime.sendMessage({ action: 'getApiKeys' });
+      openaiKey = response.success ? response.openaiKey : null;
+      log('INFO', 'Settings loaded', {
+        speechProvider: this.settings.speechProvider,
+        language: this.settings.language || 'auto',
+        hasOpenAiKey: !!openaiKey
+      });
     } catch (error) {
       log('ERROR', 'Failed to communicate with background script:', error);
       return;
     }
 
-    this.speechProcessor = new SpeechProcessor(this.apiKey);
-    this.commandProcessor = new CommandProcessor();
+    const speechProvider = createSpeechProvider(this.settings, openaiKey);
+    if (!speechProvider.isConfigured()) {
+      log('WARN', 'Speech provider not configured', { provider: speechProvider.name });
+      this.showNotification(`Please configure ${speechProvider.name} in the extension settings`, 'warning');
+      return;
+    }
+
+    this.speechProcessor = new SpeechProcessor(
+      speechProvider, new HallucinationFilter(this.settings.hallucinationRules), this.settings.language
+    );
+    this.commandProcessor = new CommandProcessor(this.settings.language);
+    this.vocabularyBuilder = new VocabularyBuilder(this.settings.customVocabulary);
 
     this.commandProcessor.setErrorCallback((errorMsg) => {
-      this.emitActivity('error', 'Claude error', errorMsg);
+      this.emitActivity('error', 'LLM error', errorMsg);
     });
 
     // Wire up hover activity logging
@@ -57,7 +93,6 @@ class VoiceController {
     // Initialize storage state to ensure popup has correct initial state
     chrome.storage.local.set({ isVoiceControlActive: this.isStreamingMode });
 
-    this.setupMessageListeners();
     log('INFO', 'VoiceController initialization complete (audio permissions deferred)');
   }
 
@@ -80,10 +115,17 @@ class VoiceController {
       }
 
       // Always try to initialize, as stored permission might be outdated
-      const initialized = await this.audioCapture.initializeRecording();
+      const microphone = this.settings.microphone;
+      const initialized = await this.audioCapture.initializeRecording(microphone);
 
       if (initialized) {
         this.audioInitialized = true;
+        const inUse = this.audioCapture.microphoneLabel || 'Default microphone';
+        if (microphone.label && microphone.label !== inUse) {
+          this.emitActivity('error', 'Microphone', `"${microphone.label}" not found — using ${inUse}`);
+        } else {
+          this.emitActivity('status', 'Microphone', inUse);
+        }
         // Store permission for this domain
         await chrome.storage.local.set({ [storageKey]: 'granted' });
         log('INFO', 'Audio permissions granted and stored', { domain: currentDomain });
@@ -145,6 +187,43 @@ class VoiceController {
             this.toggleStreamingMode();
             sendResponse({ success: true, message: 'Voice control toggled' });
             break;
+          case 'undo':
+          case 'redo':
+            this.applyHistoryCommand({ type: message.action, count: message.count || 1 });
+            sendResponse({ success: true });
+            break;
+          case 'getPersistence':
+            this.getPersistenceStatus().then((status) => {
+              sendResponse({ success: true, status });
+            }).catch((error) => {
+              sendResponse({ success: false, error: error.message });
+            });
+            break;
+          case 'setPersistence':
+            this.setPersistence(message.settings).then((status) => {
+              sendResponse({ success: true, status });
+            }).catch((error) => {
+              log('ERROR', 'Failed to update persistence settings', { error: error.message });
+              sendResponse({ success: false, error: error.message });
+            });
+            break;
+          case 'clearPersistedEdits':
+            this.changesetStore.clear().then(() => {
+              this.emitActivity('status', 'Saved edits', 'Cleared saved edits for this page');
+              sendResponse({ success: true });
+            });
+            break;
+          case 'getChangeset':
+            sendResponse({ success: true, changeset: this.buildChangeset() });
+            break;
+          case 'replayChangeset':
+            try {
+              sendResponse({ success: true, ...this.replayChangeset(message.changeset) });
+            } catch (error) {
+              log('WARN', 'Changeset replay rejected', { error: error.message });
+              sendResponse({ success: false, error: error.message });
+            }
+            break;
           case 'apiKeyUpdated':
             // Re-initialize with new keys
             this.initialize();
@@ -178,27 +257,52 @@ class VoiceController {
       return;
     }
 
-    if (!this.apiKey) {
-      log('WARN', 'Cannot start streaming - no API key');
+    if (!this.speechProcessor) {
+      log('WARN', 'Cannot start streaming - speech provider not configured');
       this.showNotification('Please configure your API keys in Settings first', 'warning');
       return;
     }
 
-    // Request audio permissions when user actually wants to use voice control
-    const permissionGranted = await this.requestAudioPermissions();
-    if (!permissionGranted) {
-      log('ERROR', 'Cannot start streaming - audio permissions denied');
-      return;
+    if (this.speechProcessor.isLive) {
+      // Live providers open the microphone themselves
+      this.isStreamingMode = true;
+      this.speechProcessor.startLive((transcript, utterance) => {
+        this.enqueueUtterance({ transcript, utterance });
+      }, (error) => {
+        this.showNotification(error.message, 'error');
+        this.stopStreamingMode();
+      }, this.bindUtterance.bind(this));
+    } else {
+      // Request audio permissions when user actually wants to use voice control
+      const permissionGranted = await this.requestAudioPermissions();
+      if (!permissionGranted) {
+        log('ERROR', 'Cannot start streaming - audio permissions denied');
+        return;
+      }
+
+      this.isStreamingMode = true;
+      if (this.isPushToTalk) {
+        await this.audioCapture.startPushToTalk(
+          this.processAudioBlob.bind(this), this.bindUtterance.bind(this), this.updateStreamingIndicator.bind(this)
+        );
+        window.addEventListener('keydown', this.handlePushToTalkKey, true);
+        window.addEventListener('keyup', this.handlePushToTalkKey, true);
+        window.addEventListener('blur', this.handlePushToTalkKey);
+      } else {
+        await this.audioCapture.startStreamingMode(
+          this.processAudioBlob.bind(this), this.bindUtterance.bind(this), this.emitAudioLevel.bind(this)
+        );
+        this.emitActivity('status', 'Calibrating', `Measuring background noise for ${this.audioCapture.CALIBRATION_MS}ms — stay quiet`);
+      }
     }
 
-    this.isStreamingMode = true;
     this.elementDetector.activate();
-    this.audioCapture.startStreamingMode(this.processAudioBlob.bind(this));
 
     // Store streaming state for popup persistence
     chrome.storage.local.set({ isVoiceControlActive: true });
 
     this.showStreamingIndicator();
+    this.updateStreamingIndicator();
     this.showNotification('Voice control activated', 'success');
     this.emitActivity('status', 'Status', 'Voice control activated');
     log('INFO', 'Streaming mode started successfully');
@@ -214,8 +318,16 @@ class VoiceController {
 
     this.isStreamingMode = false;
     this.clearAccumulator();
+    this.utteranceQueue.clear('stopped');
     this.elementDetector.deactivate();
-    this.audioCapture.stopStreamingMode();
+    if (this.speechProcessor?.isLive) {
+      this.speechProcessor.stopLive();
+    } else {
+      this.audioCapture.stopStreamingMode();
+    }
+    window.removeEventListener('keydown', this.handlePushToTalkKey, true);
+    window.removeEventListener('keyup', this.handlePushToTalkKey, true);
+    window.removeEventListener('blur', this.handlePushToTalkKey);
 
     // Store streaming state for popup persistence
     chrome.storage.local.set({ isVoiceControlActive: false });
@@ -226,6 +338,51 @@ class VoiceController {
     log('INFO', 'Streaming mode stopped successfully');
   }
 
+  // Web Speech listens on its own, so push-to-talk only applies to recorded providers
+  get isPushToTalk() {
+    const mode = this.settings?.captureMode;
+    return (mode === 'hold' || mode === 'toggle') && !this.speechProcessor?.isLive;
+  }
+
+  // Hold mode records while the key is down; toggle mode starts and stops on each press.
+  // Losing focus ends a hold, since the keyup would never arrive.
+  handlePushToTalkKey(event) {
+    if (event.type === 'blur') {
+      if (this.settings.captureMode === 'hold' && this.audioCapture.releaseToTalk()) {
+        this.updateStreamingIndicator();
+      }
+      return;
+    }
+    if (event.code !== this.settings.pushToTalkKey) return;
+
+    // In text fields the key keeps its typing role (AltRight is AltGr on many layouts);
+    // only releasing a hold that started elsewhere still counts
+    if (this.isEditableTarget(event.target)) {
+      if (event.type === 'keyup' && this.settings.captureMode === 'hold' && this.audioCapture.releaseToTalk()) {
+        this.updateStreamingIndicator();
+      }
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    if (event.repeat) return;
+
+    if (this.settings.captureMode === 'toggle') {
+      if (event.type !== 'keydown') return;
+      if (!this.audioCapture.releaseToTalk()) this.audioCapture.pressToTalk();
+    } else if (event.type === 'keydown') {
+      this.audioCapture.pressToTalk();
+    } else {
+      this.audioCapture.releaseToTalk();
+    }
+    this.updateStreamingIndicator();
+  }
+
+  isEditableTarget(target) {
+    return !!target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName));
+  }
+
   toggleStreamingMode() {
     log('INFO', 'Toggling streaming mode', { currentState: this.isStreamingMode });
     if (this.isStreamingMode) {
@@ -246,6 +403,15 @@ class VoiceController {
     }
   }
 
+  // Feeds the side panel's level meter; relayed by the background worker without logging
+  emitAudioLevel(level) {
+    try {
+      chrome.runtime.sendMessage({ action: 'audioLevel', data: level });
+    } catch (e) {
+      // Side panel may not be open — ignore
+    }
+  }
+
   clearAccumulator() {
     this.transcriptAccumulator = '';
     this.accumulatorFailCount = 0;
@@ -274,23 +440,155 @@ class VoiceController {
     this.emitActivity('status', 'Buffered', `"${transcript}" (attempt ${this.accumulatorFailCount}/${this.ACCUMULATOR_MAX_FAILS})`);
   }
 
-  async processAudioBlob(audioBlob) {
+  // Called at voice onset: the command will target whatever is hovered now,
+  // however long transcription and interpretation take
+  bindUtterance(utterance) {
+    const element = this.elementDetector.currentElement;
+    utterance.element = element;
+    // Read once at speech onset rather than on every hover, since it walks the page
+    utterance.vocabulary = this.vocabularyBuilder.collect(element);
+    this.emitActivity('target', `Utterance #${utterance.id}`, element ? this.elementDetector.describe(element) : 'no element');
+    log('DEBUG', 'Utterance bound to element', { utteranceId: utterance.id, hasElement: !!element });
+  }
+
+  processAudioBlob(audioBlob, utterance = null) {
+    const hasElement = !!this.targetFor(utterance);
+    // Queued utterances may still open a preview or chooser that this one answers
+    const awaitingAnswer = !!this.pendingPreview || this.chooser.isOpen || this.utteranceQueue.pendingCount > 0;
     log('DEBUG', 'Processing audio blob', {
-      hasElement: !!this.elementDetector.currentElement,
+      utteranceId: utterance?.id,
+      hasElement,
+      awaitingAnswer,
       isStreaming: this.isStreamingMode,
       audioSize: audioBlob.size
     });
 
-    if (!this.isStreamingMode || !this.elementDetector.currentElement) {
+    if (!this.isStreamingMode || (!hasElement && !awaitingAnswer)) {
       log('DEBUG', 'Skipping audio processing', {
         isStreaming: this.isStreamingMode,
-        hasElement: !!this.elementDetector.currentElement
+        hasElement
       });
       return;
     }
 
+    this.enqueueUtterance({ blob: audioBlob, utterance });
+  }
+
+  enqueueUtterance(input) {
+    this.utteranceQueue.enqueue({
+      id: input.utterance?.id,
+      prepare: (signal, job) => this.prepareUtterance(input, signal, job),
+      apply: prepared => this.processTranscript(prepared.transcript, input.utterance, prepared)
+    });
+  }
+
+  // Runs ahead of the queue: transcribes, and interprets commands that don't depend
+  // on what earlier utterances leave behind (answers, undo, repeats and locally
+  // parsed commands are resolved when applied). The interpretation is only used if
+  // no other change was applied in the meantime, since follow-ups like "even bigger"
+  // depend on the styles and history it was made from. A spoken cancel drops
+  // everything queued before it straight away, so none of it gets applied.
+  async prepareUtterance({ blob, transcript, utterance }, signal, job) {
+    const text = blob
+      ? await this.speechProcessor.transcribeAudio(blob, {
+        signal,
+        evidence: utterance?.evidence,
+        vocabulary: utterance?.vocabulary
+      })
+      : transcript;
+    if (!text || signal.aborted) return { transcript: text };
+
+    const language = this.settings.language;
+    if (parseCancelCommand(text, language)) {
+      return { transcript: text, cancel: true, cancelled: this.utteranceQueue.cancelBefore(job) };
+    }
+
+    const element = this.targetFor(utterance);
+    const isAnswer = !!this.pendingPreview || this.chooser.isOpen || parseConfirmation(text, language) !== null;
+    const wake = this.wakePhrase.match(text);
+    const commandText = wake.transcript;
+    if (!element || !wake.accepted || commandText.length < 3 || isAnswer || parseHistoryCommand(commandText, language)) {
+      return { transcript: text };
+    }
+
+    const revision = this.domManipulator.history.revision;
+    const elementContext = this.elementDetector.getElementContext(element);
+    if (this.commandProcessor.resolveLocally(commandText, elementContext)) {
+      return { transcript: text };
+    }
+
+    this.emitActivity('status', utterance ? `Interpreting (#${utterance.id})...` : 'Interpreting...', commandText);
+    const command = await this.commandProcessor.processCommand(commandText, elementContext, { signal });
+    return { transcript: text, command, elementContext, interpretedAs: commandText, revision };
+  }
+
+  // The element hovered when the utterance started, or the current one for
+  // transcripts without an utterance
+  targetFor(utterance) {
+    if (!utterance) return this.elementDetector.currentElement;
+    return utterance.element?.isConnected ? utterance.element : null;
+  }
+
+  // prepared is the result of prepareUtterance, when the transcript came through the queue
+  async processTranscript(transcript, utterance = null, prepared = null) {
+    if (!this.isStreamingMode) {
+      log('DEBUG', 'Skipping transcript, streaming stopped', { utteranceId: utterance?.id });
+      return;
+    }
+
     try {
-      const transcript = await this.speechProcessor.transcribeAudio(audioBlob);
+      if (prepared?.cancel || parseCancelCommand(transcript, this.settings.language)) {
+        this.cancelPending(transcript, prepared?.cancelled || 0);
+        return;
+      }
+
+      // Answers don't need a target, and short ones like "no" or "one" are
+      // checked before the length filter
+      if (transcript && this.pendingPreview && this.answerPreview(transcript)) {
+        return;
+      }
+      if (transcript && this.chooser.isOpen && this.answerClarification(transcript)) {
+        return;
+      }
+
+      // Silence, or a chunk the hallucination filter rejected
+      if (!transcript) {
+        log('DEBUG', 'No transcript', { utteranceId: utterance?.id });
+        return;
+      }
+
+      // Answers and cancel above never need the wake phrase; text continuing a
+      // buffered command doesn't either
+      const wake = this.wakePhrase.match(transcript);
+      if (!wake.accepted && !this.transcriptAccumulator) {
+        log('DEBUG', 'Ignoring transcript without wake phrase', { transcript });
+        this.emitActivity('status', 'Ignored', `"${transcript}" — no wake phrase`);
+        return;
+      }
+      if (wake.woke) {
+        transcript = wake.transcript;
+        if (!transcript) {
+          this.wakePhrase.openFollowUp();
+          this.emitActivity('status', 'Listening', `Say a command within ${Math.round(this.wakePhrase.FOLLOW_UP_MS / 1000)}s`);
+          return;
+        }
+      }
+
+      const element = this.targetFor(utterance);
+      if (!element) {
+        log('DEBUG', 'Skipping transcript, no target element', { utteranceId: utterance?.id });
+        return;
+      }
+
+      // Before the length check, since "撤销" is a complete undo
+      const historyCommand = parseHistoryCommand(transcript, this.settings.language);
+      if (historyCommand) {
+        this.emitActivity('transcript', 'You said', transcript);
+        this.clearAccumulator();
+        this.applyHistoryCommand(historyCommand);
+        return;
+      }
+
       if (!transcript || transcript.length < 3) {
         log('DEBUG', 'Transcript too short or empty', { transcript });
         return;
@@ -313,64 +611,493 @@ class VoiceController {
         }
       }
 
-      log('INFO', 'Audio processed - got transcript', { transcript: fullTranscript });
-      this.emitActivity('transcript', 'You said', fullTranscript);
+      log('INFO', 'Audio processed - got transcript', { transcript: fullTranscript, utteranceId: utterance?.id });
+      this.emitActivity('transcript', utterance ? `You said (#${utterance.id})` : 'You said', fullTranscript);
 
-      const elementContext = this.elementDetector.getElementContext(
-        this.elementDetector.currentElement
-      );
+      // The interpretation from prepareUtterance holds unless buffered text was prepended
+      // or an earlier command changed the page since
+      const usePrepared = prepared?.interpretedAs === fullTranscript
+        && prepared.revision === this.domManipulator.history.revision;
+      if (prepared?.interpretedAs && !usePrepared) {
+        log('DEBUG', 'Re-interpreting queued command against the current page', { transcript: fullTranscript });
+      }
+      const elementContext = usePrepared
+        ? prepared.elementContext
+        : this.elementDetector.getElementContext(element);
 
-      this.emitActivity('status', 'Interpreting...', fullTranscript);
+      if (!usePrepared) this.emitActivity('status', 'Interpreting...', fullTranscript);
 
-      const command = await this.commandProcessor.processCommand(
-        fullTranscript, elementContext
-      );
+      const command = usePrepared
+        ? prepared.command
+        : await this.commandProcessor.processCommand(fullTranscript, elementContext);
 
-      // Apply higher confidence threshold for text and color commands to prevent defaults
-      const isTextCommand = command && (command.action === 'addText' || command.action === 'changeText');
-      const isColorCommand = command && (command.action === 'changeColor' || command.action === 'changeBackgroundColor');
-      const confidenceThreshold = (isTextCommand || isColorCommand) ? 0.8 : 0.5;
+      const verdict = command ? this.confidencePolicy.evaluate(command) : null;
+      if (command) this.recordRecentCommand(fullTranscript, command, verdict);
 
-      if (command && command.confidence > confidenceThreshold) {
-        this.emitActivity('command', 'Interpreted', `${command.action}: ${command.value} (confidence: ${command.confidence})`);
+      if (command && verdict.accepted) {
         log('INFO', 'Executing command', {
-          action: command.action,
           confidence: command.confidence,
-          threshold: confidenceThreshold,
+          threshold: verdict.threshold,
           hadAccumulated: !!this.transcriptAccumulator
         });
-
-        const success = this.domManipulator.executeCommand(
-          command, this.elementDetector.currentElement
-        );
-
-        if (success) {
-          this.showFeedback(`Applied: ${command.action} - ${command.value}`);
-          this.emitActivity('applied', 'Applied', `${command.action} — ${command.value}`);
-          log('INFO', 'Command executed successfully');
-          this.clearAccumulator();
-        } else {
-          this.emitActivity('error', 'Failed', `Could not execute: ${command.action}`);
-          log('WARN', 'Command execution failed');
+        if (!this.applyCommand(command, element, fullTranscript, elementContext)) {
           this.stashTranscript(fullTranscript);
         }
       } else if (command) {
-        this.emitActivity('error', 'Rejected', `Low confidence (${command.confidence}) — buffering`);
-        log('DEBUG', 'Command rejected, stashing transcript', { confidence: command.confidence });
-        this.stashTranscript(fullTranscript);
+        this.emitActivity('error', 'Unsure', `Low confidence (${command.confidence} < ${verdict.threshold} for ${verdict.action}) — asking`);
+        log('DEBUG', 'Command below threshold, asking for clarification', {
+          confidence: command.confidence,
+          threshold: verdict.threshold,
+          action: verdict.action
+        });
+        this.clearAccumulator();
+        this.askForClarification(command, element, fullTranscript, elementContext);
       } else {
         this.emitActivity('error', 'No command', 'Buffering transcript for next attempt');
         this.stashTranscript(fullTranscript);
       }
     } catch (error) {
       this.emitActivity('error', 'Error', error.message);
-      log('ERROR', 'Audio processing failed', {
+      log('ERROR', 'Transcript processing failed', {
         error: error.message,
         stack: error.stack
       });
     }
   }
 
+  // Spoken "cancel": rejects a pending preview or chooser and forgets buffered text.
+  // cancelled counts the queued utterances the queue already dropped.
+  cancelPending(transcript, cancelled) {
+    this.emitActivity('transcript', 'You said', transcript);
+
+    if (this.pendingPreview) this.resolvePreview(false, 'cancelled');
+    if (this.chooser.isOpen) this.chooser.choose(-1);
+    this.clearAccumulator();
+
+    const detail = cancelled > 0 ? `Dropped ${cancelled} pending command(s)` : 'Nothing pending';
+    this.emitActivity('status', 'Cancelled', detail);
+    log('INFO', 'Pending commands cancelled', { cancelled });
+  }
+
+  // Applies an accepted command to element and records it; returns whether anything changed
+  // (or is waiting for confirmation)
+  applyCommand(command, element, transcript, elementContext) {
+    const description = DOMManipulator.describeCommand(command);
+    const label = command.source === 'llm' ? 'Interpreted' : `Interpreted (${command.source})`;
+    this.emitActivity('command', label, `${description} (confidence: ${command.confidence})`);
+    log('INFO', 'Applying command', { actions: description, source: command.source });
+
+    // Capture the selector before the change alters the element's text or classes
+    const selector = this.elementDetector.getSelector(element);
+    const pending = { command, selector, transcript, elementContext };
+
+    if (this.needsConfirmation(command)) {
+      return this.previewCommand(pending, element);
+    }
+
+    const { success, results, entry } = this.domManipulator.executeCommand(command, element);
+    this.reportActionResults(results);
+
+    if (success) {
+      this.finishCommand({ ...pending, entry, results });
+    } else {
+      log('WARN', 'Command execution failed');
+    }
+    return success;
+  }
+
+  finishCommand({ command, selector, transcript, elementContext, entry, results }) {
+    this.recordChange(entry, selector, results);
+    this.commandProcessor.rememberCommand(transcript, command, elementContext);
+    this.showFeedback(`Applied: ${DOMManipulator.describeCommand(command)}`);
+    log('INFO', 'Command executed successfully');
+    this.clearAccumulator();
+    this.wakePhrase.openFollowUp();
+  }
+
+  // Confirm mode: the command's category is set to confirm, or it's not confident enough.
+  // Options picked from the clarification chooser were already confirmed by the user.
+  needsConfirmation(command) {
+    const confirmMode = this.settings?.confirmMode;
+    if (!confirmMode?.enabled || command.source === 'chosen') return false;
+
+    const confirmCategory = command.actions.some(item =>
+      confirmMode.categories[DOMManipulator.categoryOf(item.action)]
+    );
+    return confirmCategory || command.confidence < confirmMode.belowConfidence;
+  }
+
+  previewCommand(pending, element) {
+    const { success, results } = this.domManipulator.preview(pending.command, element);
+    if (!success) {
+      this.reportActionResults(results);
+      return false;
+    }
+
+    this.pendingPreview = { ...pending, results };
+    this.clearAccumulator();
+    this.emitActivity('status', 'Preview', `${DOMManipulator.describeCommand(pending.command)} — say "yes" to keep or "no" to discard`);
+
+    document.addEventListener('keydown', this.handlePreviewKey, true);
+    this.pendingPreview.timer = setTimeout(() => {
+      this.resolvePreview(false, 'timed out');
+    }, this.settings.confirmMode.timeoutMs);
+    return true;
+  }
+
+  handlePreviewKey(event) {
+    if (event.key !== 'Enter' && event.key !== 'Escape') return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    this.resolvePreview(event.key === 'Enter', event.key === 'Enter' ? 'Enter' : 'Escape');
+  }
+
+  resolvePreview(confirmed, reason) {
+    const pending = this.pendingPreview;
+    if (!pending) return;
+
+    this.pendingPreview = null;
+    clearTimeout(pending.timer);
+    document.removeEventListener('keydown', this.handlePreviewKey, true);
+
+    if (confirmed) {
+      const entry = this.domManipulator.commitPreview();
+      this.reportActionResults(pending.results);
+      this.finishCommand({ ...pending, entry });
+    } else {
+      this.domManipulator.cancelPreview();
+      this.emitActivity('status', 'Discarded', `Preview reverted (${reason})`);
+    }
+  }
+
+  // Returns true when the transcript answered the pending preview. Anything else
+  // discards the preview and is processed as a new command.
+  answerPreview(transcript) {
+    const confirmed = parseConfirmation(transcript, this.settings.language);
+    if (confirmed === null) {
+      this.resolvePreview(false, 'new command');
+      return false;
+    }
+
+    this.emitActivity('transcript', 'You said', transcript);
+    this.resolvePreview(confirmed, confirmed ? 'confirmed' : 'rejected');
+    return true;
+  }
+
+  // Offers the interpretation and its alternatives next to the element instead of guessing
+  askForClarification(command, element, transcript, elementContext) {
+    const seen = new Set();
+    const candidates = [command, ...(command.alternatives || [])]
+      .map(item => ({ actions: item.actions, confidence: item.confidence }))
+      .filter((item) => {
+        const key = DOMManipulator.describeCommand(item);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, 3);
+
+    this.emitActivity('command', 'Did you mean', candidates
+      .map((item, index) => `${index + 1}. ${DOMManipulator.describeCommand(item)}`)
+      .join('  '));
+
+    const offered = candidates.map(item => item.actions);
+
+    this.chooser.show(element, candidates, {
+      onChoose: (candidate, index) => {
+        this.commandProcessor.rememberClarification(transcript, offered, candidate ? candidate.actions : null);
+
+        if (!candidate) {
+          this.emitActivity('status', 'Dismissed', 'None of the options applied');
+          return;
+        }
+        if (!element.isConnected) {
+          this.emitActivity('error', 'Failed', 'The element is no longer on the page');
+          return;
+        }
+
+        log('INFO', 'Clarification chosen', { index, actions: DOMManipulator.describeCommand(candidate) });
+        const chosen = { ...candidate, target: command.target, source: 'chosen' };
+        this.applyCommand(chosen, element, transcript, elementContext);
+      },
+      onTimeout: () => {
+        this.emitActivity('status', 'Expired', 'No option chosen');
+      }
+    });
+  }
+
+  // Returns true when the transcript answered the open chooser
+  answerClarification(transcript) {
+    const choice = this.chooser.parseChoice(transcript, this.settings.language);
+    if (choice === null) {
+      log('INFO', 'New command while chooser open, dismissing it', { transcript });
+      this.chooser.hide();
+      return false;
+    }
+
+    this.emitActivity('transcript', 'You said', transcript);
+    this.chooser.choose(choice);
+    return true;
+  }
+
+  // Kept in chrome.storage.local so the options page can preview threshold changes
+  // Writes are chained so commands finishing together don't overwrite each other's entries
+  recordRecentCommand(transcript, command, verdict) {
+    const entry = {
+      transcript,
+      actions: command.actions.map(({ action, value }) => ({ action, value })),
+      confidence: command.confidence,
+      source: command.source,
+      accepted: verdict.accepted,
+      time: Date.now()
+    };
+
+    this.recentCommandsWrite = this.recentCommandsWrite.then(async () => {
+      const { recentCommands = [] } = await chrome.storage.local.get(['recentCommands']);
+      recentCommands.unshift(entry);
+      await chrome.storage.local.set({ recentCommands: recentCommands.slice(0, this.RECENT_COMMANDS_LIMIT) });
+    }).catch((error) => {
+      log('WARN', 'Failed to record recent command', { error: error.message });
+    });
+    return this.recentCommandsWrite;
+  }
+
+  reportActionResults(results) {
+    const step = (index) => (results.length > 1 ? ` [${index + 1}/${results.length}]` : '');
+    // Commands apply all or nothing, so one failure undoes the actions that worked
+    const kept = results.every(result => result.success);
+    results.forEach((result, index) => {
+      if (result.success && !kept) {
+        this.emitActivity('status', `Reverted${step(index)}`, `${result.action} — ${result.value}`);
+      } else if (result.success) {
+        this.emitActivity('applied', `Applied${step(index)}`, `${result.action} — ${result.value}`);
+        (result.rejected || []).forEach(({ property, reason }) => {
+          this.emitActivity('error', `Rejected${step(index)}`, `${result.action} — ${property}: ${reason}`);
+        });
+      } else {
+        this.emitActivity('error', `Failed${step(index)}`, `${result.action} — ${result.error}`);
+      }
+    });
+  }
+
+  async restorePersistedEdits() {
+    try {
+      this.siteSettings = await this.changesetStore.getSiteSettings();
+      if (!this.siteSettings.persist) {
+        log('INFO', 'Persisted edits disabled for this site');
+        return;
+      }
+
+      const changes = await this.changesetStore.load();
+      let restored = 0;
+
+      for (const change of changes) {
+        const match = this.elementDetector.findElement(change.selector);
+        if (!match) {
+          log('WARN', 'Persisted edit target not found', { selector: change.selector });
+          continue;
+        }
+
+        const { element } = match;
+        const healedSelector = match.method !== 'css' ? this.elementDetector.getSelector(element) : null;
+
+        const { success, entry } = this.domManipulator.executeCommand(
+          { actions: change.actions, confidence: 1 }, element
+        );
+        if (success) {
+          if (!change.styles) Object.assign(change, this.describeStyleChanges(entry));
+          if (healedSelector) {
+            // Selector drifted but the element was re-found; store a fresh one
+            change.selector = healedSelector;
+            this.changesetStore.replace(change);
+          }
+          entry.change = change;
+          restored++;
+        }
+      }
+
+      if (changes.length > 0) {
+        log('INFO', 'Persisted edits restored', { restored, total: changes.length });
+        this.emitActivity('status', 'Restored', `${restored} of ${changes.length} saved edits re-applied`);
+      }
+    } catch (error) {
+      log('ERROR', 'Failed to restore persisted edits', { error: error.message });
+    }
+  }
+
+  // Attach a replayable description to the undo entry and save it if this site persists edits
+  recordChange(entry, selector, results) {
+    const element = entry.records[0].element;
+    const actions = results
+      .filter(result => result.success)
+      .map(({ action, value }) => ({ action, value }));
+
+    entry.change = {
+      id: createChangeId(),
+      selector,
+      actions,
+      ...this.describeStyleChanges(entry),
+      text: actions.some(item => this.domManipulator.CONTENT_ACTIONS.includes(item.action))
+        ? (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' ? element.value : element.textContent)
+        : null,
+      time: Date.now()
+    };
+
+    if (this.siteSettings.persist) {
+      this.changesetStore.add(entry.change, this.siteSettings.scope);
+    }
+  }
+
+  // Resolved values, so exports don't depend on the page's computed styles. styles is
+  // the target's own; relatedStyles covers other elements it changed, such as the
+  // container arrange lays out.
+  describeStyleChanges(entry) {
+    const [own, ...related] = this.domManipulator.getStyleChanges(entry);
+    return {
+      styles: own.styles,
+      relatedStyles: related
+        .filter(({ styles }) => Object.keys(styles).length > 0)
+        .map(({ element, styles }) => ({ selector: this.elementDetector.getSelector(element), styles }))
+    };
+  }
+
+  // Changes currently applied this session (undone ones excluded), in apply order
+  buildChangeset() {
+    const changes = this.domManipulator.history.undoStack
+      .map(entry => entry.change)
+      .filter(Boolean);
+
+    return {
+      version: CHANGESET_VERSION,
+      generator: `Pagician ${chrome.runtime.getManifest().version}`,
+      url: window.location.href,
+      urlPattern: this.changesetStore.urlPattern(this.siteSettings.scope),
+      title: document.title,
+      createdAt: new Date().toISOString(),
+      changes
+    };
+  }
+
+  // Replay an imported changeset through DOMManipulator. Each step is reported
+  // as 'matched' (applied), 'failed' (no element / nothing applied) or 'skipped'.
+  replayChangeset(changeset) {
+    if (!changeset || typeof changeset !== 'object' || !Array.isArray(changeset.changes)) {
+      throw new Error('Not a Pagician changeset: missing "changes" list');
+    }
+    if (typeof changeset.version !== 'number' || changeset.version > CHANGESET_VERSION) {
+      throw new Error(`Unsupported changeset version: ${changeset.version} (expected ${CHANGESET_VERSION} or lower)`);
+    }
+
+    log('INFO', 'Replaying changeset', { url: changeset.url, changes: changeset.changes.length });
+
+    const report = changeset.changes.map((change, index) => {
+      const css = typeof change?.selector === 'string' ? change.selector : change?.selector?.css;
+      const step = { step: index + 1, selector: css || null };
+
+      if (!css) {
+        return { ...step, status: 'skipped', detail: 'No selector' };
+      }
+
+      const actions = (change.actions || []).filter(item => this.domManipulator.actionMap[item?.action]);
+      const unsupported = (change.actions || []).length - actions.length;
+      if (actions.length === 0) {
+        return { ...step, status: 'skipped', detail: 'No supported actions' };
+      }
+
+      const match = this.elementDetector.findElement(change.selector);
+      if (!match) {
+        return { ...step, status: 'failed', detail: 'No element matches this selector' };
+      }
+
+      const selector = this.elementDetector.getSelector(match.element);
+      const { success, results, entry } = this.domManipulator.executeCommand(
+        { actions, confidence: 1 }, match.element
+      );
+      if (!success) {
+        const errors = results.filter(result => !result.success)
+          .map(result => `${result.action}: ${result.error}`).join('; ');
+        return { ...step, status: 'failed', detail: errors || 'Nothing was applied' };
+      }
+
+      this.recordChange(entry, selector, results);
+
+      const notes = [`${DOMManipulator.describeCommand({ actions })} (found by ${match.method})`];
+      if (unsupported) notes.push(`${unsupported} unsupported action(s) skipped`);
+      return { ...step, status: 'matched', detail: notes.join(' — ') };
+    });
+
+    const counts = ['matched', 'failed', 'skipped'].map(status =>
+      `${report.filter(step => step.status === status).length} ${status}`
+    ).join(', ');
+    this.emitActivity('applied', 'Imported', counts);
+    log('INFO', 'Changeset replay finished', { counts });
+
+    return {
+      report,
+      urlMatches: !changeset.url || changeset.url.split(/[?#]/)[0] === window.location.href.split(/[?#]/)[0]
+    };
+  }
+
+  async getPersistenceStatus() {
+    return {
+      ...this.siteSettings,
+      hostname: window.location.hostname,
+      savedCount: await this.changesetStore.count()
+    };
+  }
+
+  async setPersistence(changes) {
+    const wasPersisting = this.siteSettings.persist;
+    this.siteSettings = await this.changesetStore.setSiteSettings(changes);
+
+    // Turning persistence on keeps the edits already made in this session
+    if (this.siteSettings.persist && !wasPersisting) {
+      for (const entry of this.domManipulator.history.undoStack) {
+        if (entry.change) await this.changesetStore.add(entry.change, this.siteSettings.scope);
+      }
+    }
+
+    return this.getPersistenceStatus();
+  }
+
+  applyHistoryCommand({ type, count }) {
+    // A pending preview isn't in the history yet; discarding it counts as one undo
+    if (this.pendingPreview) {
+      this.resolvePreview(false, type);
+      if (type === 'undo' && --count === 0) return;
+    }
+
+    const entries = type === 'undo'
+      ? this.domManipulator.undo(count)
+      : this.domManipulator.redo(count);
+
+    if (entries.length === 0) {
+      const message = type === 'undo' ? 'Nothing to undo' : 'Nothing to redo';
+      this.showFeedback(message);
+      this.emitActivity('status', type === 'undo' ? 'Undo' : 'Redo', message);
+      return;
+    }
+
+    if (this.siteSettings.persist) {
+      entries.forEach((entry) => {
+        if (!entry.change) return;
+        if (type === 'undo') {
+          this.changesetStore.remove(entry.change.id);
+        } else {
+          this.changesetStore.add(entry.change, this.siteSettings.scope);
+        }
+      });
+    }
+
+    const label = type === 'undo' ? 'Undone' : 'Redone';
+    const summary = entries.map(entry => DOMManipulator.describeCommand(entry.command)).join('; ');
+    this.showFeedback(`${label}: ${summary}`);
+    this.emitActivity('applied', label, summary);
+    this.wakePhrase.openFollowUp();
+    log('INFO', 'History command applied', { type, requested: count, applied: entries.length });
+  }
+
   showStreamingIndicator() {
     const existing = document.getElementById('voice-streaming-indicator');
     if (existing) return;
@@ -419,7 +1146,7 @@ class VoiceController {
         border-radius: 50%;
         animation: recording 1s infinite;
       "></div>
-      <span>Voice Control Active</span>
+      <span id="voice-streaming-label">Voice Control Active</span>
       <button id="voice-control-stop-btn" style="
         background: rgba(255, 255, 255, 0.2);
         border: 1px solid rgba(255, 255, 255, 0.3);
@@ -446,6 +1173,23 @@ class VoiceController {
     document.body.appendChild(indicator);
   }
 
+  updateStreamingIndicator() {
+    const label = document.getElementById('voice-streaming-label');
+    if (!label) return;
+
+    if (!this.isPushToTalk) {
+      label.textContent = 'Voice Control Active';
+      return;
+    }
+
+    const key = describeKeyCode(this.settings.pushToTalkKey);
+    if (this.audioCapture.isTalking) {
+      label.textContent = this.settings.captureMode === 'toggle' ? `Listening — press ${key} to send` : 'Listening…';
+    } else {
+      label.textContent = this.settings.captureMode === 'toggle' ? `Press ${key} to talk` : `Hold ${key} to talk`;
+    }
+  }
+
   hideStreamingIndicator() {
     const indicator = document.getElementById('voice-streaming-indicator');
     if (indicator) {
@@ -4,40 +4,98 @@ class AudioCapture {
     this.audioChunks = [];
     this.isRecording = false;
     this.streamingMode = false;
+    this.pushToTalk = false; // Recording follows key presses instead of the VAD
+    this.pushToTalkTimer = null;
+    this.onAutoRelease = null;
     this.processCallback = null;
     this.suppressNextBlob = false;
 
+    // Utterances get an ID at voice onset; onUtteranceStart lets the caller attach
+    // state (such as the hovered element) that travels with the audio blob
+    this.onUtteranceStart = null;
+    this.utteranceCounter = 0;
+    this.currentUtterance = null;
+    this.stoppedUtterances = []; // Waiting for their MediaRecorder onstop event
+
+    // Raw PCM capture through an AudioWorklet. Audio keeps flowing into a short
+    // ring buffer, so each utterance can start a little before the VAD noticed it.
+    // Without AudioWorklet support, MediaRecorder (which starts at onset) is used.
+    this.pcmNode = null;
+    this.sampleRate = null;
+    this.preRoll = []; // Float32Array blocks covering the last PRE_ROLL_MS
+    this.preRollLength = 0;
+    this.pcmRecording = null; // Blocks of the current utterance, pre-roll included
+
     // VAD state
     this.micStream = null;
+    this.microphoneLabel = null; // Device actually in use
     this.audioContext = null;
     this.analyserNode = null;
     this.vadInterval = null;
-    this.voiceState = 'SILENT'; // 'SILENT' | 'SPEAKING' | 'TRAILING_SILENCE'
+    this.voiceState = 'SILENT'; // 'CALIBRATING' | 'SILENT' | 'SPEAKING' | 'TRAILING_SILENCE'
     this.silenceStartTime = null;
     this.recordingStartTime = null;
+    this.onLevel = null; // Level meter callback, called every LEVEL_REPORT_INTERVAL_MS
+
+    // Noise floor: measured during calibration, then tracked while listening.
+    // Speech starts above the onset threshold and ends below the (lower) offset
+    // threshold, so levels hovering around one threshold don't flap.
+    this.noiseFloor = null;
+    this.calibrationSamples = [];
+    this.calibrationStartTime = null;
+    this.lastLevelReport = 0;
+    this.chunkStats = null; // VAD polls of the current utterance, for MediaRecorder chunks
 
     // VAD tuning constants
-    this.SILENCE_THRESHOLD = 0.01;
+    this.CALIBRATION_MS = 1000;
+    this.ONSET_RATIO = 3;
+    this.OFFSET_RATIO = 1.8;
+    this.MIN_ONSET_THRESHOLD = 0.004;
+    this.MIN_OFFSET_THRESHOLD = 0.0025;
+    this.MAX_ONSET_THRESHOLD = 0.2;
+    this.NOISE_FLOOR_FALL_RATE = 0.2; // Per poll; quiet moments pull the floor down fast
+    this.NOISE_FLOOR_RISE_RATE = 0.02; // Per poll while silent
+    this.NOISE_FLOOR_SPEAKING_RISE_RATE = 0.002; // Per poll while speaking, so steady noise is eventually absorbed
     this.TRAILING_SILENCE_MS = 1500;
     this.MAX_CHUNK_DURATION_MS = 15000;
     this.MIN_CHUNK_DURATION_MS = 500;
+    this.MAX_PUSH_TO_TALK_MS = 60000; // A forgotten toggle doesn't record forever
+    this.PRE_ROLL_MS = 400;
+    this.OUTPUT_SAMPLE_RATE = 16000; // WAV chunks are downsampled to what speech models use
     this.VAD_POLL_INTERVAL_MS = 50;
+    this.LEVEL_REPORT_INTERVAL_MS = 150;
+  }
+
+  // Applies the vad settings (see DEFAULT_SETTINGS.vad)
+  configure({ calibrationMs, trailingSilenceMs, maxChunkMs } = {}) {
+    if (calibrationMs >= 0) this.CALIBRATION_MS = calibrationMs;
+    if (trailingSilenceMs > 0) this.TRAILING_SILENCE_MS = trailingSilenceMs;
+    if (maxChunkMs > this.MIN_CHUNK_DURATION_MS) this.MAX_CHUNK_DURATION_MS = maxChunkMs;
+  }
+
+  get onsetThreshold() {
+    const threshold = Math.max(this.noiseFloor * this.ONSET_RATIO, this.MIN_ONSET_THRESHOLD);
+    return Math.min(threshold, this.MAX_ONSET_THRESHOLD);
+  }
+
+  get offsetThreshold() {
+    const threshold = Math.max(this.noiseFloor * this.OFFSET_RATIO, this.MIN_OFFSET_THRESHOLD);
+    return Math.min(threshold, this.onsetThreshold);
   }
 
-  async initializeRecording() {
-    log('INFO', 'Initializing audio recording');
+  // microphone is the settings.microphone object
+  async initializeRecording(microphone = {}) {
+    log('INFO', 'Initializing audio recording', { device: microphone.label || 'default' });
     try {
       this.micStream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          channelCount: 1,
-          sampleRate: 16000,
-          echoCancellation: true,
-          noiseSuppression: true
-        }
+        audio: microphoneConstraints(microphone)
       });
 
       log('INFO', 'Microphone access granted');
 
+      if (microphone.label) await this.switchToDevice(microphone);
+      this.microphoneLabel = this.micStream.getAudioTracks()[0]?.label || null;
+
       this.mediaRecorder = new MediaRecorder(this.micStream, {
         mimeType: 'audio/webm;codecs=opus'
       });
@@ -56,6 +114,49 @@ class AudioCapture {
     }
   }
 
+  // Device IDs differ between the options page and each site, so the chosen
+  // microphone is looked up by label. Labels are only listed once access is granted,
+  // hence the default device is opened first.
+  async switchToDevice(microphone) {
+    if (this.micStream.getAudioTracks()[0]?.label === microphone.label) return;
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const device = devices.find(item => item.kind === 'audioinput' && item.label === microphone.label);
+    if (!device) {
+      log('WARN', 'Selected microphone not found, using the default', { label: microphone.label });
+      return;
+    }
+
+    // Keep the default stream until the chosen device is open, so a busy or
+    // unplugged device still leaves a working microphone
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: microphoneConstraints(microphone, device.deviceId)
+      });
+    } catch (error) {
+      log('WARN', 'Could not open selected microphone, using the default', {
+        label: microphone.label,
+        error: error.message
+      });
+      return;
+    }
+
+    this.micStream.getTracks().forEach(track => track.stop());
+    this.micStream = stream;
+    log('INFO', 'Switched to selected microphone', { label: microphone.label });
+  }
+
+  // Closes the microphone so the next initializeRecording picks up new settings
+  releaseMicrophone() {
+    if (this.micStream) {
+      this.micStream.getTracks().forEach(track => track.stop());
+      this.micStream = null;
+    }
+    this.mediaRecorder = null;
+    this.microphoneLabel = null;
+  }
+
   setupEventHandlers() {
     log('INFO', 'Setting up MediaRecorder event handlers');
 
@@ -73,12 +174,7 @@ class AudioCapture {
         chunks: this.audioChunks.length
       });
 
-      if (this.suppressNextBlob) {
-        log('DEBUG', 'Suppressing blob (too short / noise)');
-        this.suppressNextBlob = false;
-      } else if (this.processCallback) {
-        this.processCallback(audioBlob);
-      }
+      this.deliverChunk(audioBlob, this.stoppedUtterances.shift() || null);
       this.audioChunks = [];
     };
 
@@ -91,15 +187,40 @@ class AudioCapture {
     };
   }
 
-  startStreamingMode(processCallback) {
+  async startStreamingMode(processCallback, onUtteranceStart = null, onLevel = null) {
     log('INFO', 'Starting streaming mode with VAD');
     this.streamingMode = true;
     this.processCallback = processCallback;
-    this.voiceState = 'SILENT';
+    this.onUtteranceStart = onUtteranceStart;
+    this.onLevel = onLevel;
     this.silenceStartTime = null;
     this.recordingStartTime = null;
+    this.startCalibration();
+
+    await this.openAudioGraph();
+
+    // Start VAD monitoring loop
+    this.vadInterval = setInterval(() => this.vadLoop(), this.VAD_POLL_INTERVAL_MS);
+
+    log('INFO', 'Streaming mode started with VAD monitoring');
+  }
 
-    // Create persistent AudioContext + AnalyserNode
+  // Push-to-talk: the caller marks the start and end of each utterance, and every
+  // press becomes exactly one chunk. The audio graph only feeds the pre-roll; no VAD.
+  // onAutoRelease fires when MAX_PUSH_TO_TALK_MS ends a press
+  async startPushToTalk(processCallback, onUtteranceStart = null, onAutoRelease = null) {
+    log('INFO', 'Starting push-to-talk mode');
+    this.streamingMode = true;
+    this.pushToTalk = true;
+    this.processCallback = processCallback;
+    this.onUtteranceStart = onUtteranceStart;
+    this.onAutoRelease = onAutoRelease;
+
+    await this.openAudioGraph();
+  }
+
+  // AudioContext with an AnalyserNode for the VAD and, where supported, the PCM worklet
+  async openAudioGraph() {
     this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
     const source = this.audioContext.createMediaStreamSource(this.micStream);
     this.analyserNode = this.audioContext.createAnalyser();
@@ -111,10 +232,78 @@ class AudioCapture {
       this.audioContext.resume();
     }
 
-    // Start VAD monitoring loop
-    this.vadInterval = setInterval(() => this.vadLoop(), this.VAD_POLL_INTERVAL_MS);
+    try {
+      await this.audioContext.audioWorklet.addModule(chrome.runtime.getURL('lib/pcm-capture-worklet.js'));
+      // No outputs: the node is still processed, and nothing is played back
+      this.pcmNode = new AudioWorkletNode(this.audioContext, 'pcm-capture', { numberOfOutputs: 0 });
+      this.pcmNode.port.onmessage = (event) => this.receivePcm(event.data);
+      source.connect(this.pcmNode);
+      this.sampleRate = this.audioContext.sampleRate;
+      this.preRoll = [];
+      this.preRollLength = 0;
+      log('INFO', 'PCM capture started', { sampleRate: this.sampleRate, preRollMs: this.PRE_ROLL_MS });
+    } catch (error) {
+      this.pcmNode = null;
+      log('WARN', 'AudioWorklet unavailable, recording with MediaRecorder (no pre-roll)', { error: error.message });
+    }
+  }
 
-    log('INFO', 'Streaming mode started with VAD monitoring');
+  receivePcm(block) {
+    if (this.pcmRecording) this.pcmRecording.push(block);
+
+    this.preRoll.push(block);
+    this.preRollLength += block.length;
+    const limit = this.sampleRate * this.PRE_ROLL_MS / 1000;
+    while (this.preRoll.length > 1 && this.preRollLength - this.preRoll[0].length >= limit) {
+      this.preRollLength -= this.preRoll.shift().length;
+    }
+  }
+
+  // Hands a finished chunk to processCallback unless it was discarded
+  deliverChunk(audioBlob, utterance) {
+    if (this.suppressNextBlob) {
+      log('DEBUG', 'Suppressing blob (too short / noise)', { utteranceId: utterance?.id });
+      this.suppressNextBlob = false;
+    } else if (this.processCallback) {
+      this.processCallback(audioBlob, utterance);
+    }
+  }
+
+  get isTalking() {
+    return this.pushToTalk && this.recordingStartTime !== null;
+  }
+
+  pressToTalk() {
+    if (!this.streamingMode || !this.pushToTalk || this.isTalking) return false;
+
+    const now = Date.now();
+    this.beginUtterance(now);
+    this.startRecording();
+    this.recordingStartTime = now;
+    this.pushToTalkTimer = setTimeout(() => {
+      log('INFO', 'Push-to-talk: max duration reached, sending chunk');
+      this.releaseToTalk();
+      if (this.onAutoRelease) this.onAutoRelease();
+    }, this.MAX_PUSH_TO_TALK_MS);
+    log('DEBUG', 'Push-to-talk: recording', { utteranceId: this.currentUtterance.id });
+    return true;
+  }
+
+  releaseToTalk() {
+    if (!this.isTalking) return false;
+
+    clearTimeout(this.pushToTalkTimer);
+    this.pushToTalkTimer = null;
+
+    const chunkDuration = Date.now() - this.recordingStartTime;
+    if (chunkDuration >= this.MIN_CHUNK_DURATION_MS) {
+      log('INFO', 'Push-to-talk: released, sending chunk', { chunkDuration });
+      this.sendCurrentChunk();
+    } else {
+      log('DEBUG', 'Push-to-talk: press too short, discarding', { chunkDuration });
+      this.discardCurrentChunk();
+    }
+    return true;
   }
 
   getCurrentRMS() {
@@ -128,20 +317,111 @@ class AudioCapture {
     return Math.sqrt(sum / dataArray.length);
   }
 
+  // Stay quiet for a moment after starting: the first samples set the noise floor
+  startCalibration() {
+    this.voiceState = 'CALIBRATING';
+    this.calibrationSamples = [];
+    this.calibrationStartTime = Date.now();
+    // Until calibration finishes, the old floor (or the minimum thresholds) apply
+    if (this.noiseFloor === null) this.noiseFloor = 0;
+  }
+
+  finishCalibration() {
+    const sorted = [...this.calibrationSamples].sort((a, b) => a - b);
+    // The median ignores a cough or click during calibration
+    this.noiseFloor = sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+    this.calibrationSamples = [];
+    this.voiceState = 'SILENT';
+    log('INFO', 'VAD: calibrated noise floor', {
+      noiseFloor: this.noiseFloor.toFixed(4),
+      onset: this.onsetThreshold.toFixed(4),
+      offset: this.offsetThreshold.toFixed(4)
+    });
+  }
+
+  // Quiet moments pull the floor down quickly; louder background noise raises it slowly
+  trackNoiseFloor(rms) {
+    let rate = this.NOISE_FLOOR_FALL_RATE;
+    if (rms > this.noiseFloor) {
+      rate = this.voiceState === 'SILENT' ? this.NOISE_FLOOR_RISE_RATE : this.NOISE_FLOOR_SPEAKING_RISE_RATE;
+    }
+    this.noiseFloor += (rms - this.noiseFloor) * rate;
+  }
+
+  recordPoll(rms, isSpeech) {
+    const stats = this.chunkStats;
+    if (!stats) return;
+
+    if (isSpeech) {
+      stats.voiced++;
+      if (stats.firstVoiced === null) stats.firstVoiced = stats.polls;
+      stats.lastVoiced = stats.polls;
+    }
+    stats.peakRms = Math.max(stats.peakRms, rms);
+    stats.polls++;
+  }
+
+  // Speech evidence for the hallucination filter, from the VAD polls when there's no PCM
+  pollEvidence() {
+    const stats = this.chunkStats;
+    if (!stats || stats.polls === 0) return null;
+
+    const span = stats.firstVoiced === null ? 0 : stats.lastVoiced - stats.firstVoiced + 1;
+    return {
+      durationMs: stats.polls * this.VAD_POLL_INTERVAL_MS,
+      speechMs: stats.voiced * this.VAD_POLL_INTERVAL_MS,
+      peakRms: stats.peakRms,
+      voicedRatio: span ? stats.voiced / span : 0,
+      noiseFloor: this.noiseFloor
+    };
+  }
+
+  reportLevel(rms, now) {
+    if (!this.onLevel || now - this.lastLevelReport < this.LEVEL_REPORT_INTERVAL_MS) return;
+    this.lastLevelReport = now;
+    this.onLevel({
+      rms,
+      noiseFloor: this.noiseFloor,
+      onset: this.onsetThreshold,
+      offset: this.offsetThreshold,
+      state: this.voiceState
+    });
+  }
+
   vadLoop() {
     if (!this.streamingMode || !this.analyserNode) return;
 
     const rms = this.getCurrentRMS();
     const now = Date.now();
-    const isSpeech = rms >= this.SILENCE_THRESHOLD;
+
+    if (this.voiceState === 'CALIBRATING') {
+      this.calibrationSamples.push(rms);
+      if (now - this.calibrationStartTime >= this.CALIBRATION_MS) this.finishCalibration();
+      this.reportLevel(rms, now);
+      return;
+    }
+
+    // Hysteresis: louder to start speaking than to keep speaking
+    const isSpeech = this.voiceState === 'SILENT'
+      ? rms >= this.onsetThreshold
+      : rms >= this.offsetThreshold;
+
+    this.trackNoiseFloor(rms);
+    this.reportLevel(rms, now);
+    if (this.voiceState !== 'SILENT') this.recordPoll(rms, isSpeech);
 
     switch (this.voiceState) {
       case 'SILENT':
         if (isSpeech) {
           this.voiceState = 'SPEAKING';
+          this.beginUtterance(now);
           this.startRecording();
           this.recordingStartTime = now;
-          log('DEBUG', 'VAD: voice onset detected', { rms: rms.toFixed(4) });
+          log('DEBUG', 'VAD: voice onset detected', {
+            rms: rms.toFixed(4),
+            threshold: this.onsetThreshold.toFixed(4),
+            utteranceId: this.currentUtterance.id
+          });
         }
         break;
 
@@ -181,11 +461,45 @@ class AudioCapture {
     }
   }
 
-  sendCurrentChunk() {
-    if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
-      this.mediaRecorder.stop();
+  beginUtterance(now) {
+    this.currentUtterance = { id: ++this.utteranceCounter, startedAt: now };
+    this.chunkStats = { polls: 0, voiced: 0, firstVoiced: null, lastVoiced: null, peakRms: 0 };
+    if (this.onUtteranceStart) {
+      this.onUtteranceStart(this.currentUtterance);
+    }
+  }
+
+  // Stops the recorder; onstop then hands the blob over together with its utterance.
+  // PCM chunks are encoded and handed over straight away.
+  stopRecorder() {
+    if (this.pcmRecording) {
+      const blocks = this.pcmRecording;
+      const utterance = this.currentUtterance;
+      this.pcmRecording = null;
+      this.currentUtterance = null;
       this.isRecording = false;
+
+      const audioBlob = encodeWav(blocks, this.sampleRate, this.OUTPUT_SAMPLE_RATE);
+      if (utterance) {
+        utterance.evidence = measureSpeech(blocks, this.sampleRate, this.offsetThreshold, this.noiseFloor);
+      }
+      log('INFO', 'Recording stopped', { blobSize: audioBlob.size, blocks: blocks.length });
+      this.deliverChunk(audioBlob, utterance);
+      return true;
     }
+
+    if (!this.mediaRecorder || this.mediaRecorder.state !== 'recording') return false;
+
+    if (this.currentUtterance) this.currentUtterance.evidence = this.pollEvidence();
+    this.stoppedUtterances.push(this.currentUtterance);
+    this.currentUtterance = null;
+    this.mediaRecorder.stop();
+    this.isRecording = false;
+    return true;
+  }
+
+  sendCurrentChunk() {
+    this.stopRecorder();
     this.voiceState = 'SILENT';
     this.silenceStartTime = null;
     this.recordingStartTime = null;
@@ -193,10 +507,7 @@ class AudioCapture {
 
   discardCurrentChunk() {
     this.suppressNextBlob = true;
-    if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
-      this.mediaRecorder.stop();
-      this.isRecording = false;
-    }
+    this.stopRecorder();
     this.voiceState = 'SILENT';
     this.silenceStartTime = null;
     this.recordingStartTime = null;
@@ -205,20 +516,33 @@ class AudioCapture {
   stopStreamingMode() {
     log('INFO', 'Stopping streaming mode');
     this.streamingMode = false;
+    this.pushToTalk = false;
+    clearTimeout(this.pushToTalkTimer);
+    this.pushToTalkTimer = null;
 
     if (this.vadInterval) {
       clearInterval(this.vadInterval);
       this.vadInterval = null;
     }
 
+    // Before the graph closes, so a PCM chunk still has its blocks
+    this.stopRecording();
+
+    if (this.pcmNode) {
+      this.pcmNode.port.onmessage = null;
+      this.pcmNode.disconnect();
+      this.pcmNode = null;
+    }
+    this.preRoll = [];
+    this.preRollLength = 0;
+
     if (this.audioContext) {
       this.audioContext.close();
       this.audioContext = null;
       this.analyserNode = null;
     }
 
-    this.stopRecording();
-
+    this.onLevel = null;
     this.voiceState = 'SILENT';
     this.silenceStartTime = null;
     this.recordingStartTime = null;
@@ -227,7 +551,12 @@ class AudioCapture {
   }
 
   startRecording() {
-    if (this.mediaRecorder && this.mediaRecorder.state !== 'recording') {
+    if (this.pcmNode) {
+      // Start from the buffered audio just before onset
+      this.pcmRecording = [...this.preRoll];
+      this.isRecording = true;
+      log('DEBUG', 'Recording started', { preRollMs: Math.round(this.preRollLength / this.sampleRate * 1000) });
+    } else if (this.mediaRecorder && this.mediaRecorder.state !== 'recording') {
       this.audioChunks = [];
       this.mediaRecorder.start();
       this.isRecording = true;
@@ -241,9 +570,7 @@ class AudioCapture {
   }
 
   stopRecording() {
-    if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
-      this.mediaRecorder.stop();
-      this.isRecording = false;
+    if (this.stopRecorder()) {
       log('DEBUG', 'Recording stopped manually');
     } else {
       log('DEBUG', 'Stop recording called but not recording', {
@@ -253,3 +580,90 @@ class AudioCapture {
     }
   }
 }
+
+// Speech evidence for the hallucination filter. 20 ms frames at or above threshold
+// count as voiced; voicedRatio is measured between the first and last voiced frame,
+// so pre-roll and trailing silence don't dilute it.
+function measureSpeech(blocks, sampleRate, threshold, noiseFloor) {
+  const frameSize = Math.round(sampleRate * 0.02);
+  let frames = 0;
+  let voiced = 0;
+  let firstVoiced = null;
+  let lastVoiced = null;
+  let peakRms = 0;
+  let sum = 0;
+  let count = 0;
+
+  blocks.forEach((block) => {
+    for (let i = 0; i < block.length; i++) {
+      sum += block[i] * block[i];
+      if (++count < frameSize) continue;
+
+      const rms = Math.sqrt(sum / count);
+      if (rms >= threshold) {
+        voiced++;
+        if (firstVoiced === null) firstVoiced = frames;
+        lastVoiced = frames;
+      }
+      peakRms = Math.max(peakRms, rms);
+      frames++;
+      sum = 0;
+      count = 0;
+    }
+  });
+
+  const span = firstVoiced === null ? 0 : lastVoiced - firstVoiced + 1;
+  return {
+    durationMs: frames * 20,
+    speechMs: voiced * 20,
+    peakRms,
+    voicedRatio: span ? voiced / span : 0,
+    noiseFloor
+  };
+}
+
+// Mono 16-bit PCM WAV from Float32Array blocks, averaged down to outputRate
+function encodeWav(blocks, inputRate, outputRate) {
+  const length = blocks.reduce((total, block) => total + block.length, 0);
+  const ratio = Math.max(1, inputRate / outputRate);
+  const rate = Math.round(inputRate / ratio);
+  const sampleCount = Math.floor(length / ratio);
+
+  const buffer = new ArrayBuffer(44 + sampleCount * 2);
+  const view = new DataView(buffer);
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + sampleCount * 2, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, rate, true);
+  view.setUint32(28, rate * 2, true); // byte rate
+  view.setUint16(32, 2, true); // block align
+  view.setUint16(34, 16, true); // bits per sample
+  writeString(36, 'data');
+  view.setUint32(40, sampleCount * 2, true);
+
+  const samples = new Float32Array(length);
+  let position = 0;
+  blocks.forEach((block) => {
+    samples.set(block, position);
+    position += block.length;
+  });
+
+  for (let i = 0; i < sampleCount; i++) {
+    const start = Math.floor(i * ratio);
+    const end = Math.min(Math.floor((i + 1) * ratio), length);
+    let sum = 0;
+    for (let j = start; j < end; j++) sum += samples[j];
+    const value = Math.max(-1, Math.min(1, sum / Math.max(1, end - start)));
+    view.setInt16(44 + i * 2, value < 0 ? value * 0x8000 : value * 0x7fff, true);
+  }
+
+  return new Blob([buffer], { type: 'audio/wav' });
+}
@@ -0,0 +1,169 @@
+// Formats a session changeset (see VoiceController.buildChangeset) as a CSS
+// patch, a versioned JSON changeset or a userscript that re-applies it.
+class ChangeExporter {
+  constructor(changeset) {
+    this.changeset = changeset;
+    this.FORMATS = {
+      css: { extension: 'css', mimeType: 'text/css' },
+      json: { extension: 'json', mimeType: 'application/json' },
+      userscript: { extension: 'user.js', mimeType: 'text/javascript' }
+    };
+  }
+
+  export(format) {
+    switch (format) {
+      case 'css': return this.toCSS();
+      case 'json': return this.toJSON();
+      case 'userscript': return this.toUserscript();
+      default: throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+
+  toJSON() {
+    return JSON.stringify(this.changeset, null, 2);
+  }
+
+  // One rule per selector; later changes to the same property win, like they do on the page
+  toCSS() {
+    const rules = new Map();
+    const notes = [];
+
+    this.changeset.changes.forEach((change) => {
+      const css = this.selectorOf(change);
+
+      this.styleTargets(change).forEach((target) => {
+        if (Object.keys(target.styles).length > 0) {
+          rules.set(target.css, { ...rules.get(target.css), ...target.styles });
+        }
+      });
+      if (change.text !== null && change.text !== undefined) {
+        notes.push(this.comment(`${css}: text changed to ${JSON.stringify(change.text)} (not expressible in CSS)`));
+      }
+      this.moveNotes(change).forEach(note => notes.push(this.comment(`${note} (not expressible in CSS)`)));
+    });
+
+    const blocks = Array.from(rules.entries()).map(([css, styles]) => {
+      const declarations = Object.entries(styles)
+        .map(([property, value]) => `  ${property}: ${value};`)
+        .join('\n');
+      return `${css} {\n${declarations}\n}`;
+    });
+
+    return [
+      this.comment(`Pagician changes for ${this.changeset.url}`),
+      `/* Exported ${this.changeset.createdAt} — ${this.changeset.changes.length} change(s) */`,
+      '',
+      ...blocks.flatMap(block => [block, '']),
+      ...notes
+    ].join('\n').trim() + '\n';
+  }
+
+  toUserscript() {
+    const changes = this.changeset.changes.flatMap(change => this.styleTargets(change).map((target, index) => ({
+      ...target,
+      text: index === 0 ? change.text ?? null : null
+    })));
+    const skipped = this.changeset.changes.flatMap(change => this.moveNotes(change))
+      .map(note => `  // Not re-applied: ${note.replace(/\s+/g, ' ')}\n`)
+      .join('');
+
+    return `// ==UserScript==
+// @name         Pagician changes for ${this.displayUrl()}
+// @namespace    pagician
+// @version      ${this.changeset.version}
+// @description  Re-applies ${this.changeset.changes.length} change(s) recorded with ${this.changeset.generator}
+// @match        ${this.matchPattern()}
+// @grant        none
+// @run-at       document-idle
+// ==/UserScript==
+
+(function () {
+  'use strict';
+
+${skipped}  const changes = ${JSON.stringify(changes, null, 2).replace(/\n/g, '\n  ')};
+
+  function find(change) {
+    try {
+      const matches = document.querySelectorAll(change.css);
+      if (matches.length === 1) return matches[0];
+    } catch (e) {
+      // Fall through to XPath
+    }
+    if (!change.xpath) return null;
+    try {
+      return document.evaluate(change.xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  changes.forEach((change) => {
+    const element = find(change);
+    if (!element) {
+      console.warn('[Pagician] Element not found:', change.css);
+      return;
+    }
+
+    Object.entries(change.styles).forEach(([property, value]) => {
+      element.style.setProperty(property, value);
+    });
+
+    if (change.text !== null) {
+      if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+        element.value = change.text;
+      } else {
+        element.textContent = change.text;
+      }
+    }
+  });
+})();
+`;
+  }
+
+  // The change's own element first, then others it restyled (e.g. arrange's container)
+  styleTargets(change) {
+    return [
+      { selector: change.selector, styles: change.styles },
+      ...(change.relatedStyles || [])
+    ].map(({ selector, styles }) => ({
+      css: typeof selector === 'string' ? selector : selector?.css,
+      xpath: selector?.xpath || null,
+      styles: styles || {}
+    }));
+  }
+
+  // Moves depend on the sibling order at the time, so exports only describe them
+  moveNotes(change) {
+    return (change.actions || [])
+      .filter(item => item.action === 'reorder')
+      .map(item => `${this.selectorOf(change)}: moved ${JSON.stringify(item.value)} among its siblings`);
+  }
+
+  // Page text can contain "*/", which would end the comment early
+  comment(text) {
+    return `/* ${text.replace(/\*\//g, '*\\/')} */`;
+  }
+
+  selectorOf(change) {
+    return typeof change.selector === 'string' ? change.selector : change.selector?.css;
+  }
+
+  // Userscript @match needs a path; page-scoped changesets also match query strings
+  matchPattern() {
+    const pattern = this.changeset.urlPattern || this.changeset.url;
+    return pattern.endsWith('*') ? pattern : `${pattern}*`;
+  }
+
+  displayUrl() {
+    return (this.changeset.urlPattern || this.changeset.url).replace(/^https?:\/\//, '');
+  }
+
+  filename(format) {
+    const host = this.displayUrl().replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '');
+    return `pagician-${host || 'changes'}.${this.FORMATS[format].extension}`;
+  }
+
+  mimeType(format) {
+    return this.FORMATS[format].mimeType;
+  }
+}
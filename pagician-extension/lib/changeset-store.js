@@ -0,0 +1,104 @@
+// Version of the exported / imported changeset JSON format
+const CHANGESET_VERSION = 1;
+
+// Persists applied changes per URL in chrome.storage.local so they can be
+// re-applied after a reload. A changeset is stored either for the exact page
+// (origin + path) or for the whole site (origin + "/*").
+class ChangesetStore {
+  constructor(location = window.location) {
+    this.origin = location.origin;
+    this.pathname = location.pathname;
+    this.hostname = location.hostname;
+    this.writeQueue = Promise.resolve();
+    // Edits are only kept across reloads on sites where the user turns it on
+    this.DEFAULT_SITE_SETTINGS = { persist: false, scope: 'page' };
+  }
+
+  urlPattern(scope) {
+    return scope === 'site' ? `${this.origin}/*` : `${this.origin}${this.pathname}`;
+  }
+
+  storageKey(scope) {
+    return `changeset_${this.urlPattern(scope)}`;
+  }
+
+  async getSiteSettings() {
+    const key = `siteSettings_${this.hostname}`;
+    const result = await chrome.storage.local.get([key]);
+    return { ...this.DEFAULT_SITE_SETTINGS, ...result[key] };
+  }
+
+  async setSiteSettings(changes) {
+    const key = `siteSettings_${this.hostname}`;
+    const settings = { ...(await this.getSiteSettings()), ...changes };
+    await chrome.storage.local.set({ [key]: settings });
+    log('INFO', 'Site persistence settings saved', { hostname: this.hostname, ...settings });
+    return settings;
+  }
+
+  // Site-wide changes first, then page-specific ones, each in the order recorded
+  async load() {
+    const keys = [this.storageKey('site'), this.storageKey('page')];
+    const result = await chrome.storage.local.get(keys);
+    return keys.flatMap(key => result[key]?.changes || []);
+  }
+
+  async count() {
+    return (await this.load()).length;
+  }
+
+  add(change, scope = 'page') {
+    return this.update(scope, changes => [
+      ...changes.filter(existing => existing.id !== change.id),
+      change
+    ]);
+  }
+
+  // Update a stored change in place, e.g. after its selector was healed
+  replace(change) {
+    return Promise.all(['site', 'page'].map(scope =>
+      this.update(scope, changes => changes.map(existing => (existing.id === change.id ? change : existing)))
+    ));
+  }
+
+  remove(changeId) {
+    return Promise.all(['site', 'page'].map(scope =>
+      this.update(scope, changes => changes.filter(change => change.id !== changeId))
+    ));
+  }
+
+  clear() {
+    return this.enqueue(() => chrome.storage.local.remove([
+      this.storageKey('site'),
+      this.storageKey('page')
+    ]));
+  }
+
+  update(scope, transform) {
+    return this.enqueue(async () => {
+      const key = this.storageKey(scope);
+      const result = await chrome.storage.local.get([key]);
+      const changes = transform(result[key]?.changes || []);
+
+      if (changes.length === 0) {
+        await chrome.storage.local.remove([key]);
+      } else {
+        await chrome.storage.local.set({
+          [key]: { urlPattern: this.urlPattern(scope), changes }
+        });
+      }
+    });
+  }
+
+  // Serialise read-modify-write cycles so rapid commands don't overwrite each other
+  enqueue(task) {
+    this.writeQueue = this.writeQueue.then(task).catch((error) => {
+      log('ERROR', 'Changeset storage update failed', { error: error.message });
+    });
+    return this.writeQueue;
+  }
+}
+
+function createChangeId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
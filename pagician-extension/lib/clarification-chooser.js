@@ -0,0 +1,149 @@
+// On-page chooser listing candidate interpretations of an unclear command next
+// to its target element. The user answers by voice ("first", "second", "none")
+// or by clicking an option.
+
+const CHOICE_WORDS = {
+  'first': 0, 'one': 0, '1': 0, '1st': 0,
+  'second': 1, 'two': 1, '2': 1, '2nd': 1,
+  'third': 2, 'three': 2, '3': 2, '3rd': 2
+};
+
+const CHOICE_FILLER_WORDS = new Set(['the', 'option', 'number', 'choice', 'pick', 'choose', 'take', 'use', 'apply', 'please', 'one']);
+
+const DISMISS_PHRASES = ['none', 'neither', 'nothing', 'no', 'cancel', 'never mind', 'nevermind', 'none of them', 'none of those', 'neither of them'];
+
+class ClarificationChooser {
+  constructor() {
+    this.panel = null;
+    this.candidates = [];
+    this.handlers = null;
+    this.timer = null;
+    this.TIMEOUT_MS = 20000;
+  }
+
+  get isOpen() {
+    return !!this.panel;
+  }
+
+  // candidates: [{ actions, confidence }]; handlers: { onChoose(candidate, index), onTimeout() }
+  // onChoose receives null and -1 when the user rejects every option
+  show(element, candidates, handlers) {
+    this.hide();
+    this.candidates = candidates;
+    this.handlers = handlers;
+
+    this.panel = document.createElement('div');
+    this.panel.dataset.pagicianUi = 'chooser';
+    this.panel.style.cssText = `
+      position: fixed;
+      max-width: 320px;
+      background: white;
+      color: #1f2937;
+      border-radius: 8px;
+      padding: 10px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 13px;
+      z-index: 1000001;
+      box-shadow: 0 4px 20px rgba(0, 0, 0, 0.25);
+      border: 2px solid #667eea;
+    `;
+
+    const title = document.createElement('div');
+    const ordinals = ['"first"', '"second"', '"third"'].slice(0, candidates.length).join(', ');
+    title.textContent = `Did you mean… (say ${ordinals} or "none")`;
+    title.style.cssText = 'font-weight: 600; margin-bottom: 8px;';
+    this.panel.appendChild(title);
+
+    candidates.forEach((candidate, index) => {
+      const label = `${index + 1}. ${DOMManipulator.describeCommand(candidate)} (${Math.round(candidate.confidence * 100)}%)`;
+      this.panel.appendChild(this.createOption(label, index));
+    });
+    this.panel.appendChild(this.createOption('None of these', -1));
+
+    document.body.appendChild(this.panel);
+    this.position(element);
+
+    this.timer = setTimeout(() => {
+      const onTimeout = this.handlers?.onTimeout;
+      this.hide();
+      if (onTimeout) onTimeout();
+    }, this.TIMEOUT_MS);
+
+    log('INFO', 'Clarification chooser shown', { candidates: candidates.length });
+  }
+
+  createOption(label, index) {
+    const option = document.createElement('button');
+    option.type = 'button';
+    option.textContent = label;
+    option.style.cssText = `
+      display: block;
+      width: 100%;
+      text-align: left;
+      margin-top: 4px;
+      padding: 6px 10px;
+      border: 1px solid #e5e7eb;
+      border-radius: 6px;
+      background: ${index === -1 ? '#f9fafb' : '#eef2ff'};
+      color: inherit;
+      font: inherit;
+      cursor: pointer;
+    `;
+    option.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.choose(index);
+    });
+    return option;
+  }
+
+  // Below the element when there is room, otherwise above it
+  position(element) {
+    const rect = element.getBoundingClientRect();
+    const height = this.panel.offsetHeight;
+    const width = this.panel.offsetWidth;
+
+    const below = rect.bottom + 8;
+    const top = below + height < window.innerHeight ? below : Math.max(8, rect.top - height - 8);
+    const left = Math.min(Math.max(8, rect.left), Math.max(8, window.innerWidth - width - 8));
+
+    this.panel.style.top = `${top}px`;
+    this.panel.style.left = `${left}px`;
+  }
+
+  // Returns a candidate index, -1 for "none", or null when the transcript isn't an answer.
+  // English answers always count; language adds its own (see spoken-phrases.js).
+  parseChoice(transcript, language = '') {
+    const normalized = (transcript || '').toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (DISMISS_PHRASES.includes(normalized)) return -1;
+
+    const words = normalized.split(' ');
+    const remaining = words.filter(word => !CHOICE_FILLER_WORDS.has(word));
+    // "one" on its own is an answer, not a filler
+    const key = remaining.length === 0 && words.includes('one') ? 'one' : remaining.join(' ');
+
+    const index = CHOICE_WORDS[key] ?? parseSpokenChoice(transcript, language);
+    return index !== null && index !== undefined && index < this.candidates.length ? index : null;
+  }
+
+  choose(index) {
+    const onChoose = this.handlers?.onChoose;
+    const candidate = index >= 0 ? this.candidates[index] : null;
+    this.hide();
+    if (onChoose) onChoose(candidate, index);
+  }
+
+  hide() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+    this.handlers = null;
+  }
+}
@@ -1,8 +1,26 @@
+// Follow-ups that repeat the last command verbatim on the hovered element
+const REPEAT_PATTERNS = [
+  /^(do )?(that|it|this) again$/,
+  /^again$/,
+  /^repeat( that| it| the last (command|change|one))?$/,
+  /^(do |apply )?(the )?same( thing)?( again| as before)?( (here|to|for|on) (this|that)( \w+)?)?$/
+];
+
 class CommandProcessor {
-  constructor() {
+  // language is the BCP 47 tag from settings, or empty when it's detected
+  constructor(language = '') {
+    this.language = language;
     this.usageCallback = null; // Callback to track usage
     this.errorCallback = null; // Callback to surface errors to activity log
-    log('INFO', 'CommandProcessor initialized (Claude via background proxy)');
+    this.history = []; // Recently applied commands, oldest first
+    this.MAX_HISTORY = 5;
+    this.localParser = new LocalCommandParser();
+    this.clarifications = []; // Past chooser answers, oldest first
+    this.MAX_CLARIFICATIONS = 20;
+    this.PROMPT_CLARIFICATIONS = 8;
+    this.requestCounter = 0;
+    this.loadClarifications();
+    log('INFO', 'CommandProcessor initialized (LLM via background proxy)');
   }
 
   setUsageCallback(callback) {
@@ -13,7 +31,8 @@ class CommandProcessor {
     this.errorCallback = callback;
   }
 
-  async processCommand(transcript, elementContext) {
+  // signal aborts the LLM request in the background worker; an aborted command resolves to null
+  async processCommand(transcript, elementContext, { signal } = {}) {
     log('INFO', 'Processing voice command', {
       transcript,
       elementTag: elementContext?.tagName,
@@ -25,19 +44,42 @@ class CommandProcessor {
       return null;
     }
 
-    const systemPrompt = buildCommandPrompt(transcript, elementContext);
+    const local = this.resolveLocally(transcript, elementContext);
+    if (local) {
+      log('INFO', 'Command resolved locally', {
+        actions: DOMManipulator.describeCommand(local),
+        confidence: local.confidence,
+        source: local.source
+      });
+      return local;
+    }
+
+    const systemPrompt = buildCommandPrompt(
+      transcript, elementContext, this.history, this.clarifications.slice(-this.PROMPT_CLARIFICATIONS), this.language
+    );
+
+    log('DEBUG', 'Sending command processing request to LLM via background proxy');
 
-    log('DEBUG', 'Sending command processing request to Claude via background proxy');
+    if (signal?.aborted) return null;
+    const requestId = ++this.requestCounter;
+    const abort = () => chrome.runtime.sendMessage({ action: 'llmAbort', requestId }).catch(() => {});
+    if (signal) signal.addEventListener('abort', abort, { once: true });
 
     try {
       const startTime = Date.now();
       const response = await chrome.runtime.sendMessage({
-        action: 'claudeComplete',
+        action: 'llmComplete',
+        requestId,
         systemPrompt,
         userMessage: transcript,
         schema: DOM_ACTION_SCHEMA
       });
 
+      if (response.aborted || signal?.aborted) {
+        log('DEBUG', 'Command processing aborted', { transcript });
+        return null;
+      }
+
       const duration = Date.now() - startTime;
       log('DEBUG', 'Command processing response received', {
         success: response.success,
@@ -45,19 +87,23 @@ class CommandProcessor {
       });
 
       if (!response.success) {
-        log('ERROR', 'Command processing via Claude failed', {
+        log('ERROR', 'Command processing via LLM failed', {
           error: response.error
         });
         if (this.errorCallback) this.errorCallback(response.error);
         return null;
       }
 
-      const command = JSON.parse(response.result.content[0].text);
+      const command = this.normalizeCommand(response.command);
+      if (!command) {
+        log('WARN', 'LLM returned no actions', { transcript });
+        return null;
+      }
 
       log('INFO', 'Command processed successfully', {
-        action: command.action,
-        value: command.value,
+        actions: DOMManipulator.describeCommand(command),
         confidence: command.confidence,
+        provider: response.provider,
         duration: `${duration}ms`
       });
 
@@ -74,6 +120,95 @@ class CommandProcessor {
       });
       if (this.errorCallback) this.errorCallback(`Unexpected: ${error.message}`);
       return null;
+    } finally {
+      if (signal) signal.removeEventListener('abort', abort);
+    }
+  }
+
+  // Repeats and commands the local grammar understands; null means the LLM is needed
+  resolveLocally(transcript, elementContext) {
+    const repeated = this.resolveRepeat(transcript);
+    if (repeated) return repeated;
+
+    const local = this.localParser.parse(transcript, elementContext);
+    return local ? { ...local, source: 'local' } : null;
+  }
+
+  // Accept the single action/value shape as well as the actions list
+  normalizeCommand(command) {
+    if (!command) return null;
+
+    const actions = Array.isArray(command.actions)
+      ? command.actions
+      : (command.action ? [{ action: command.action, value: command.value ?? '' }] : []);
+
+    if (actions.length === 0) return null;
+
+    const alternatives = (command.alternatives || [])
+      .filter(item => Array.isArray(item.actions) && item.actions.length > 0)
+      .slice(0, 2)
+      .map(item => ({ actions: item.actions, confidence: item.confidence }));
+
+    return {
+      actions,
+      target: command.target,
+      confidence: command.confidence,
+      alternatives,
+      source: 'llm'
+    };
+  }
+
+  // Called once a command has been applied so follow-ups can refer to it
+  rememberCommand(transcript, command, elementContext) {
+    this.history.push({
+      transcript,
+      actions: command.actions,
+      element: describeElementContext(elementContext),
+      time: Date.now()
+    });
+    if (this.history.length > this.MAX_HISTORY) {
+      this.history.shift();
+    }
+  }
+
+  async loadClarifications() {
+    try {
+      const { clarificationChoices = [] } = await chrome.storage.local.get(['clarificationChoices']);
+      this.clarifications = clarificationChoices;
+    } catch (error) {
+      log('WARN', 'Failed to load clarification choices', { error: error.message });
+    }
+  }
+
+  // chosen is the picked action list, or null when the user rejected every option
+  async rememberClarification(transcript, offered, chosen) {
+    this.clarifications.push({ transcript, offered, chosen, time: Date.now() });
+    this.clarifications = this.clarifications.slice(-this.MAX_CLARIFICATIONS);
+
+    try {
+      await chrome.storage.local.set({ clarificationChoices: this.clarifications });
+    } catch (error) {
+      log('WARN', 'Failed to save clarification choice', { error: error.message });
     }
   }
+
+  resolveRepeat(transcript) {
+    const last = this.history[this.history.length - 1];
+    if (!last) return null;
+
+    const normalized = transcript.toLowerCase()
+      .replace(/[^a-z\s]/g, ' ')
+      .replace(/\b(please|ok|okay|now|just)\b/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (!REPEAT_PATTERNS.some(pattern => pattern.test(normalized))) return null;
+
+    return {
+      actions: last.actions.map(item => ({ ...item })),
+      target: 'Repeat of last command',
+      confidence: 1,
+      source: 'repeat'
+    };
+  }
 }
@@ -0,0 +1,28 @@
+// Decides whether an interpreted command is confident enough to apply, using
+// the confidenceThreshold setting and per-action confidenceOverrides.
+// A command with several actions is held to the strictest of their thresholds.
+class ConfidencePolicy {
+  constructor({ confidenceThreshold, confidenceOverrides } = DEFAULT_SETTINGS) {
+    this.threshold = confidenceThreshold;
+    this.overrides = confidenceOverrides || {};
+  }
+
+  thresholdFor(action) {
+    const override = this.overrides[action];
+    return typeof override === 'number' ? override : this.threshold;
+  }
+
+  // Returns { accepted, threshold, action } where action is the one that set the threshold
+  evaluate(command) {
+    const strictest = (command.actions || []).reduce((current, item) => {
+      const threshold = this.thresholdFor(item.action);
+      return !current || threshold > current.threshold ? { action: item.action, threshold } : current;
+    }, null) || { action: null, threshold: this.threshold };
+
+    return {
+      accepted: command.confidence >= strictest.threshold,
+      threshold: strictest.threshold,
+      action: strictest.action
+    };
+  }
+}
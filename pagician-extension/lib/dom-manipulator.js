@@ -1,3 +1,52 @@
+// Vocabularies for spoken values, shared with LocalCommandParser
+const COLOR_VOCABULARY = {
+  'blue': '#0000ff', 'green': '#00ff00', 'purple': '#800080',
+  'orange': '#ffa500', 'yellow': '#ffff00', 'pink': '#ffc0cb',
+  'cyan': '#00ffff', 'magenta': '#ff00ff', 'lime': '#00ff00',
+  'black': '#000000', 'white': '#ffffff', 'gray': '#808080',
+  'grey': '#808080', 'brown': '#a52a2a', 'red': '#ff0000',
+  'forest green': '#228b22', 'dark green': '#006400', 'light blue': '#add8e6',
+  'dark blue': '#00008b', 'light green': '#90ee90', 'navy': '#000080'
+};
+
+const SIZE_VOCABULARY = {
+  'bigger': 1.2, 'smaller': 0.8, 'huge': 2.0, 'tiny': 0.5,
+  'large': 1.5, 'small': 0.7, 'double': 2.0, 'half': 0.5,
+  'larger': 1.3, 'much bigger': 1.5, 'much smaller': 0.6
+};
+
+const OPACITY_VOCABULARY = {
+  'transparent': '0', 'invisible': '0', 'semi-transparent': '0.5',
+  'translucent': '0.5', 'opaque': '1', 'solid': '1',
+  'faded': '0.3', 'very faded': '0.1', 'slightly faded': '0.7'
+};
+
+const SHADOW_VOCABULARY = {
+  'small': '0 2px 4px rgba(0,0,0,0.2)',
+  'medium': '0 4px 8px rgba(0,0,0,0.3)',
+  'large': '0 8px 16px rgba(0,0,0,0.4)',
+  'subtle': '0 1px 3px rgba(0,0,0,0.1)',
+  'strong': '0 10px 20px rgba(0,0,0,0.5)',
+  'glow': '0 0 20px rgba(255,255,255,0.8)',
+  'none': 'none'
+};
+
+const NUDGE_DIRECTIONS = { left: [-1, 0], right: [1, 0], up: [0, -1], down: [0, 1] };
+
+// align values: which axis they're on and where along it
+const ALIGN_POSITIONS = {
+  left: ['horizontal', 'start'], center: ['horizontal', 'center'], right: ['horizontal', 'end'],
+  top: ['vertical', 'start'], middle: ['vertical', 'center'], bottom: ['vertical', 'end']
+};
+
+const SPACING_PROPERTIES = [
+  'margin', 'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+  'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left'
+];
+
+// Values that could load or run something from outside the page
+const SET_STYLE_BLOCKED_VALUE = /url\s*\(|image-set\s*\(|expression\s*\(|javascript:/i;
+
 class DOMManipulator {
   constructor() {
     this.actionMap = {
@@ -13,49 +62,256 @@ class DOMManipulator {
       'addShadow': this.addShadow.bind(this),
       'rotate': this.rotate.bind(this),
       'changeText': this.changeText.bind(this),
-      'addText': this.addText.bind(this)
+      'addText': this.addText.bind(this),
+      'setStyle': this.setStyle.bind(this),
+      'adjustSpacing': this.adjustSpacing.bind(this),
+      'nudge': this.nudge.bind(this),
+      'align': this.align.bind(this),
+      'arrange': this.arrange.bind(this),
+      'reorder': this.reorder.bind(this)
     };
+
+    this.CONTENT_ACTIONS = ['changeText', 'addText'];
+    this.POSITION_ACTIONS = ['reorder'];
+    this.SPACING_STEP_PX = 16; // "more" / "less" space
+    this.NUDGE_STEP_PX = 10; // a nudge without a distance
+    this.history = new UndoManager();
+    this.originalDisplay = new WeakMap();
+    this.pendingPreview = null; // { entry, badge } while a preview awaits confirmation
   }
 
+  // Applies every action in command.actions as one undoable step, or none of them if
+  // any fails, and reports per-action results:
+  // { success, results: [{ action, value, success, error }], entry }
   executeCommand(command, element) {
-    log('INFO', 'executeCommand called', {
+    const outcome = this.applyActions(command, element);
+    if (!outcome.entry) return outcome;
+
+    if (outcome.success) {
+      this.history.commit(outcome.entry);
+    } else {
+      this.history.revert(outcome.entry);
+    }
+
+    log('INFO', 'executeCommand completed', {
+      applied: outcome.results.filter(result => result.success).length,
+      failed: outcome.results.filter(result => !result.success).length
+    });
+    return { ...outcome, entry: outcome.success ? outcome.entry : null };
+  }
+
+  // Applies the command like executeCommand, but leaves it out of the undo history
+  // behind a confirmation badge until commitPreview() or cancelPreview()
+  preview(command, element) {
+    this.cancelPreview();
+
+    // Measure before applying, since the preview may hide or move the element
+    const rect = element?.getBoundingClientRect();
+    const outcome = this.applyActions(command, element);
+    if (!outcome.entry) return outcome;
+
+    if (!outcome.success) {
+      this.history.revert(outcome.entry);
+      return { ...outcome, entry: null };
+    }
+
+    this.pendingPreview = { entry: outcome.entry, badge: this.showPreviewBadge(command, rect) };
+    log('INFO', 'Preview applied, awaiting confirmation', {
+      actions: DOMManipulator.describeCommand(command)
+    });
+    return outcome;
+  }
+
+  commitPreview() {
+    if (!this.pendingPreview) return null;
+
+    const { entry, badge } = this.pendingPreview;
+    this.pendingPreview = null;
+    badge.remove();
+    this.history.commit(entry);
+    log('INFO', 'Preview committed');
+    return entry;
+  }
+
+  cancelPreview() {
+    if (!this.pendingPreview) return;
+
+    const { entry, badge } = this.pendingPreview;
+    this.pendingPreview = null;
+    badge.remove();
+    this.history.revert(entry);
+    log('INFO', 'Preview reverted');
+  }
+
+  // e.g. Apply: changeText → 'Pricing'?
+  showPreviewBadge(command, rect) {
+    const summary = command.actions
+      .map(({ action, value }) => (value ? `${action} → '${value}'` : action))
+      .join(', ');
+
+    const badge = document.createElement('div');
+    badge.dataset.pagicianUi = 'preview';
+    badge.style.cssText = `
+      position: fixed;
+      top: ${Math.max(8, rect.top - 52)}px;
+      left: ${Math.max(8, Math.min(rect.left, window.innerWidth - 340))}px;
+      max-width: 320px;
+      background: #1f2937;
+      color: white;
+      padding: 8px 12px;
+      border-radius: 8px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 13px;
+      z-index: 1000001;
+      box-shadow: 0 4px 15px rgba(0, 0, 0, 0.3);
+      pointer-events: none;
+    `;
+
+    const title = document.createElement('div');
+    title.textContent = `Apply: ${summary}?`;
+    title.style.cssText = 'font-weight: 600;';
+
+    const hint = document.createElement('div');
+    hint.textContent = 'Say "yes" or press Enter · "no" or Esc to discard';
+    hint.style.cssText = 'opacity: 0.75; font-size: 12px; margin-top: 2px;';
+
+    badge.append(title, hint);
+    document.body.appendChild(badge);
+    return badge;
+  }
+
+  // Snapshots the element and runs every action; the caller commits or reverts the entry
+  applyActions(command, element) {
+    const actions = command?.actions || [];
+
+    log('INFO', 'Applying actions', {
       hasElement: !!element,
       elementTag: element?.tagName,
       elementId: element?.id,
-      action: command?.action,
-      value: command?.value,
+      actions: DOMManipulator.describeCommand(command),
       confidence: command?.confidence
     });
 
-    if (!element || !command.action || command.confidence < 0.5) {
-      log('WARN', 'executeCommand rejected', {
+    // Confidence is checked by the caller's ConfidencePolicy
+    if (!element || actions.length === 0) {
+      log('WARN', 'Command rejected', {
         hasElement: !!element,
-        hasAction: !!command?.action,
-        confidence: command?.confidence
+        actionCount: actions.length
       });
-      return false;
-    }
-
-    const action = this.actionMap[command.action];
-    if (action) {
-      try {
-        log('INFO', 'Calling action method', { action: command.action, value: command.value });
-        this.addUndoCapability(element, command);
-        action(element, command.value);
-        log('INFO', 'Action method completed successfully');
-        return true;
-      } catch (error) {
-        log('ERROR', 'DOM manipulation failed', {
-          action: command.action,
-          value: command.value,
-          error: error.message
-        });
-        return false;
+      return { success: false, results: [], entry: null };
+    }
+
+    const entry = this.history.begin(command, this.affectedElements(element, actions), {
+      content: actions.some(item => this.CONTENT_ACTIONS.includes(item.action)),
+      position: actions.some(item => this.POSITION_ACTIONS.includes(item.action))
+    });
+
+    const results = actions.map(item => this.applyAction(element, item));
+    return { success: results.every(result => result.success), results, entry };
+  }
+
+  // The element first, then any container that arrange changes
+  affectedElements(element, actions) {
+    const elements = [element];
+    if (actions.some(item => item.action === 'arrange')) {
+      const container = this.layoutContainer(element);
+      if (!elements.includes(container)) elements.push(container);
+    }
+    return elements;
+  }
+
+  // Actions may return { rejected: [...] } for parts they refused but applied around
+  applyAction(element, { action: name, value }) {
+    const action = this.actionMap[name];
+    if (!action) {
+      log('WARN', 'Action not found in actionMap', { action: name });
+      return { action: name, value, success: false, error: 'Unknown action' };
+    }
+
+    try {
+      log('INFO', 'Calling action method', { action: name, value });
+      const rejected = action(element, value)?.rejected || [];
+      log('INFO', 'Action method completed successfully');
+      return { action: name, value, success: true, rejected };
+    } catch (error) {
+      log('ERROR', 'DOM manipulation failed', {
+        action: name,
+        value,
+        error: error.message
+      });
+      return { action: name, value, success: false, error: error.message };
+    }
+  }
+
+  // Inline style declarations an applied entry added or changed, one item per
+  // affected element in record order (the target first, then e.g. arrange's container):
+  // [{ element, styles: { color: '#ff0000', 'font-size': '19.2px' } }]
+  getStyleChanges(entry) {
+    const probe = document.createElement('div');
+
+    return entry.records.map((record) => {
+      probe.setAttribute('style', record.style || '');
+      const before = DOMManipulator.parseDeclarations(probe.style.cssText);
+      const after = DOMManipulator.parseDeclarations(record.element.style.cssText);
+
+      const styles = Object.fromEntries(
+        Object.entries(after).filter(([property, value]) => before[property] !== value)
+      );
+      return { element: record.element, styles };
+    });
+  }
+
+  // Split a cssText string into { property: value }, ignoring ';' inside parentheses or quotes
+  static parseDeclarations(cssText) {
+    const declarations = {};
+    let current = '';
+    let depth = 0;
+    let quote = null;
+
+    const flush = () => {
+      const index = current.indexOf(':');
+      if (index > 0) {
+        declarations[current.slice(0, index).trim().toLowerCase()] = current.slice(index + 1).trim();
       }
-    } else {
-      log('WARN', 'Action not found in actionMap', { action: command.action });
+      current = '';
+    };
+
+    for (const char of cssText || '') {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth = Math.max(0, depth - 1);
+      } else if (char === ';' && depth === 0) {
+        flush();
+        continue;
+      }
+      current += char;
     }
-    return false;
+    flush();
+
+    return declarations;
+  }
+
+  static categoryOf(action) {
+    return Object.keys(ACTION_CATEGORIES).find(category => ACTION_CATEGORIES[category].includes(action)) || null;
+  }
+
+  static describeCommand(command) {
+    return (command?.actions || [])
+      .map(({ action, value }) => (value ? `${action}: ${value}` : action))
+      .join(', ');
+  }
+
+  undo(count = 1) {
+    return this.history.undo(count);
+  }
+
+  redo(count = 1) {
+    return this.history.redo(count);
   }
 
   changeColor(element, color) {
@@ -98,12 +354,12 @@ class DOMManipulator {
   }
 
   hide(element) {
-    element.dataset.originalDisplay = element.style.display || window.getComputedStyle(element).display;
+    this.originalDisplay.set(element, element.style.display || window.getComputedStyle(element).display);
     element.style.display = 'none';
   }
 
   show(element) {
-    element.style.display = element.dataset.originalDisplay || 'block';
+    element.style.display = this.originalDisplay.get(element) || 'block';
   }
 
   changeBorder(element, borderStyle) {
@@ -123,6 +379,221 @@ class DOMManipulator {
     element.style.transform = `rotate(${rotation})`;
   }
 
+  // declarations is a CSS declaration list, e.g. "border-radius: 12px; padding: 16px".
+  // Each one is checked on its own; the allowed ones are applied even if others
+  // are rejected, and it fails only when none is usable.
+  setStyle(element, declarations) {
+    const rejected = [];
+    const accepted = [];
+
+    Object.entries(DOMManipulator.parseDeclarations(declarations)).forEach(([property, value]) => {
+      const reason = this.validateStyle(property, value);
+      if (reason) {
+        rejected.push({ property, value, reason });
+      } else {
+        accepted.push([property, value]);
+      }
+    });
+
+    if (rejected.length > 0) log('WARN', 'setStyle rejected declarations', { rejected });
+    if (accepted.length === 0) {
+      const reasons = rejected.map(item => `${item.property}: ${item.reason}`).join('; ');
+      throw new Error(reasons || 'No CSS declarations given');
+    }
+
+    accepted.forEach(([property, value]) => element.style.setProperty(property, value));
+    return { rejected };
+  }
+
+  // A reason the declaration can't be applied, or null
+  validateStyle(property, value) {
+    if (!SET_STYLE_PROPERTIES.includes(property)) return 'property not allowed';
+    if (!value) return 'missing value';
+    if (SET_STYLE_BLOCKED_VALUE.test(value)) return 'external resources not allowed';
+    if (!CSS.supports(property, value)) return `unsupported value "${value}"`;
+    return null;
+  }
+
+  // "margin-bottom +16px" adjusts, "padding 24px" sets, "margin-top 0" removes;
+  // see resolveLength for the amounts
+  adjustSpacing(element, value) {
+    const [property, amount] = value.trim().toLowerCase().split(/\s+/);
+    if (!SPACING_PROPERTIES.includes(property)) {
+      throw new Error(`Unknown spacing "${property}", expected margin or padding (optionally -top, -right, -bottom, -left)`);
+    }
+
+    // Relative shorthand changes adjust each side from its own current value
+    const sides = property.includes('-') ? [property] : ['top', 'right', 'bottom', 'left'].map(side => `${property}-${side}`);
+    const computed = window.getComputedStyle(element);
+    sides.forEach((side) => {
+      const length = this.resolveLength(amount, computed.getPropertyValue(side));
+      element.style.setProperty(side, side.startsWith('padding') ? this.atLeastZero(length) : length);
+    });
+  }
+
+  // "left 20px", "up" or "right 30px down 10px". Moves are visual only (translate),
+  // so the rest of the page keeps its layout.
+  nudge(element, value) {
+    let x = 0;
+    let y = 0;
+    const steps = [...value.toLowerCase().matchAll(/(left|right|up|down)(?:\s+(-?[\d.]+)\s*(?:px|pixels?)?)?/g)];
+    if (steps.length === 0) throw new Error(`Unknown direction "${value}", expected left, right, up or down`);
+
+    steps.forEach(([, direction, distance]) => {
+      const [dx, dy] = NUDGE_DIRECTIONS[direction];
+      const px = distance ? parseFloat(distance) : this.NUDGE_STEP_PX;
+      x += dx * px;
+      y += dy * px;
+    });
+
+    const computed = window.getComputedStyle(element);
+    if (computed.display === 'inline') {
+      // Transforms don't apply to inline boxes; relative offsets do
+      if (computed.position === 'static') element.style.position = 'relative';
+      element.style.left = `${(parseFloat(computed.left) || 0) + x}px`;
+      element.style.top = `${(parseFloat(computed.top) || 0) + y}px`;
+    } else {
+      const [currentX = 0, currentY = 0] = computed.translate && computed.translate !== 'none'
+        ? computed.translate.split(/\s+/).map(parseFloat) : [];
+      element.style.translate = `${currentX + x}px ${currentY + y}px`;
+    }
+  }
+
+  // "center", "right", "center middle": places the element within its parent.
+  // Flex and grid parents take both axes; in normal flow only horizontal works.
+  align(element, value) {
+    const positions = value.toLowerCase().split(/[\s,]+/).filter(word => ALIGN_POSITIONS[word]);
+    if (positions.length === 0) {
+      throw new Error(`Unknown alignment "${value}", expected left, center, right, top, middle or bottom`);
+    }
+
+    const parentDisplay = element.parentElement ? window.getComputedStyle(element.parentElement).display : 'block';
+    const layout = /grid/.test(parentDisplay) ? 'grid' : /flex/.test(parentDisplay) ? 'flex' : 'flow';
+    const flexRow = layout === 'flex' && !/column/.test(window.getComputedStyle(element.parentElement).flexDirection);
+
+    positions.forEach((word) => {
+      const [axis, place] = ALIGN_POSITIONS[word];
+      if (layout === 'grid') {
+        element.style.setProperty(axis === 'horizontal' ? 'justify-self' : 'align-self', place);
+      } else if (layout === 'flex' && (axis === 'horizontal') !== flexRow) {
+        // The cross axis
+        element.style.alignSelf = place === 'center' ? 'center' : `flex-${place}`;
+      } else if (layout === 'flex') {
+        this.alignWithAutoMargins(element, axis, place);
+      } else if (axis === 'horizontal') {
+        this.makeShrinkableBlock(element);
+        this.alignWithAutoMargins(element, axis, place);
+      } else {
+        throw new Error('Vertical alignment needs a flex or grid parent; arrange the parent first');
+      }
+    });
+  }
+
+  // Auto margins push the element to the start, center or end of the free space
+  alignWithAutoMargins(element, axis, place) {
+    const [before, after] = axis === 'horizontal' ? ['margin-left', 'margin-right'] : ['margin-top', 'margin-bottom'];
+    element.style.setProperty(before, place === 'start' ? '0' : 'auto');
+    element.style.setProperty(after, place === 'end' ? '0' : 'auto');
+  }
+
+  // Auto margins only move a block that is narrower than its parent
+  makeShrinkableBlock(element) {
+    const display = window.getComputedStyle(element).display;
+    if (display.startsWith('inline')) {
+      element.style.display = display === 'inline' || display === 'inline-block' ? 'block' : display.replace('inline-', '');
+    }
+
+    const parentWidth = element.parentElement?.clientWidth || 0;
+    if (!element.style.width && element.getBoundingClientRect().width >= parentWidth - 1) {
+      element.style.width = 'fit-content';
+    }
+  }
+
+  // "row", "column", "grid 3", "row wrap", "gap 24px", "column gap +8px".
+  // Applies to the hovered element's children, or to its siblings when it has none.
+  arrange(element, value) {
+    const container = this.layoutContainer(element);
+    const text = value.toLowerCase();
+    const direction = text.match(/\b(row|column|grid)\b/)?.[1];
+    const gap = text.match(/\bgap\s+(\S+)/)?.[1];
+    if (!direction && !gap) throw new Error(`Unknown arrangement "${value}", expected row, column, grid or gap`);
+
+    if (direction === 'grid') {
+      const columns = parseInt(text.match(/\bgrid\s+(\d+)\b/)?.[1], 10) || Math.min(container.children.length, 3);
+      container.style.display = 'grid';
+      container.style.gridTemplateColumns = `repeat(${Math.max(columns, 1)}, minmax(0, 1fr))`;
+    } else if (direction) {
+      container.style.display = 'flex';
+      container.style.flexDirection = direction;
+      container.style.flexWrap = /\bwrap\b/.test(text) ? 'wrap' : 'nowrap';
+    }
+
+    if (gap) {
+      // gap only works in flex and grid layouts; stacked blocks stay stacked as a column
+      if (!direction && !/flex|grid/.test(window.getComputedStyle(container).display)) {
+        container.style.display = 'flex';
+        container.style.flexDirection = 'column';
+      }
+      const current = window.getComputedStyle(container).rowGap;
+      container.style.gap = this.atLeastZero(this.resolveLength(gap, current === 'normal' ? '0px' : current));
+    }
+  }
+
+  layoutContainer(element) {
+    return element.children.length >= 2 || !element.parentElement ? element : element.parentElement;
+  }
+
+  // "up", "down 2", "first" or "last" among the element's siblings
+  reorder(element, value) {
+    const parent = element.parentElement;
+    if (!parent) throw new Error('Element has no parent to reorder within');
+
+    // Pagician's own overlays are not page content
+    const items = [...parent.children].filter(child =>
+      !child.closest('[data-pagician-ui]') && !child.classList.contains('voice-control-highlight')
+    );
+    const index = items.indexOf(element);
+    const text = value.toLowerCase();
+    const count = parseInt(text.match(/\d+/)?.[0], 10) || 1;
+
+    let target;
+    if (/\b(first|top|start|beginning)\b/.test(text)) target = 0;
+    else if (/\b(last|bottom|end)\b/.test(text)) target = items.length - 1;
+    else if (/\b(up|before|earlier|previous)\b/.test(text)) target = Math.max(index - count, 0);
+    else if (/\b(down|after|later|next)\b/.test(text)) target = Math.min(index + count, items.length - 1);
+    else throw new Error(`Unknown position "${value}", expected up, down, first or last`);
+
+    if (target === index) throw new Error(`Already ${index === 0 ? 'first' : 'last'} among its siblings`);
+
+    if (target < index) {
+      items[target].before(element);
+    } else {
+      items[target].after(element);
+    }
+  }
+
+  // "24px" or "2em" replaces current, "+8px" / "-8px" (px only) adjusts it,
+  // "more" / "less" adjust by SPACING_STEP_PX. current is a computed px value.
+  resolveLength(amount, current) {
+    const base = parseFloat(current) || 0;
+    if (amount === 'more') return `${base + this.SPACING_STEP_PX}px`;
+    if (amount === 'less') return `${base - this.SPACING_STEP_PX}px`;
+
+    const relative = (amount || '').match(/^([+-])([\d.]+)(px)?$/);
+    if (relative) {
+      const delta = parseFloat(relative[2]) * (relative[1] === '-' ? -1 : 1);
+      return `${base + delta}px`;
+    }
+
+    if (/^[\d.]+$/.test(amount || '')) return `${parseFloat(amount)}px`;
+    if (CSS.supports('margin', amount)) return amount;
+    throw new Error(`Unknown amount "${amount}"`);
+  }
+
+  atLeastZero(length) {
+    return parseFloat(length) < 0 ? '0px' : length;
+  }
+
   changeText(element, text) {
     if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
       element.value = text;
@@ -140,40 +611,18 @@ class DOMManipulator {
   }
 
   parseColor(colorInput) {
-    const colorMap = {
-      'blue': '#0000ff', 'green': '#00ff00', 'purple': '#800080',
-      'orange': '#ffa500', 'yellow': '#ffff00', 'pink': '#ffc0cb',
-      'cyan': '#00ffff', 'magenta': '#ff00ff', 'lime': '#00ff00',
-      'black': '#000000', 'white': '#ffffff', 'gray': '#808080',
-      'grey': '#808080', 'brown': '#a52a2a', 'red': '#ff0000',
-      'forest green': '#228b22', 'dark green': '#006400', 'light blue': '#add8e6',
-      'dark blue': '#00008b', 'light green': '#90ee90', 'navy': '#000080'
-    };
-
-    const result = colorMap[colorInput.toLowerCase()] || colorInput;
-    log('DEBUG', 'parseColor result', { input: colorInput, output: result, mapped: !!colorMap[colorInput.toLowerCase()] });
+    const result = COLOR_VOCABULARY[colorInput.toLowerCase()] || colorInput;
+    log('DEBUG', 'parseColor result', { input: colorInput, output: result, mapped: !!COLOR_VOCABULARY[colorInput.toLowerCase()] });
     return result;
   }
 
   parseSize(sizeInput) {
-    const sizeMap = {
-      'bigger': 1.2, 'smaller': 0.8, 'huge': 2.0, 'tiny': 0.5,
-      'large': 1.5, 'small': 0.7, 'double': 2.0, 'half': 0.5,
-      'larger': 1.3, 'much bigger': 1.5, 'much smaller': 0.6
-    };
-
-    return sizeMap[sizeInput.toLowerCase()] || 1.0;
+    return SIZE_VOCABULARY[sizeInput.toLowerCase()] || 1.0;
   }
 
   parseOpacity(opacityInput) {
-    const opacityMap = {
-      'transparent': '0', 'invisible': '0', 'semi-transparent': '0.5',
-      'translucent': '0.5', 'opaque': '1', 'solid': '1',
-      'faded': '0.3', 'very faded': '0.1', 'slightly faded': '0.7'
-    };
-
-    if (opacityMap[opacityInput.toLowerCase()]) {
-      return opacityMap[opacityInput.toLowerCase()];
+    if (OPACITY_VOCABULARY[opacityInput.toLowerCase()]) {
+      return OPACITY_VOCABULARY[opacityInput.toLowerCase()];
     }
 
     const numValue = parseFloat(opacityInput);
@@ -185,31 +634,22 @@ class DOMManipulator {
   }
 
   generateShadow(shadowType) {
-    const shadowMap = {
-      'small': '0 2px 4px rgba(0,0,0,0.2)',
-      'medium': '0 4px 8px rgba(0,0,0,0.3)',
-      'large': '0 8px 16px rgba(0,0,0,0.4)',
-      'subtle': '0 1px 3px rgba(0,0,0,0.1)',
-      'strong': '0 10px 20px rgba(0,0,0,0.5)',
-      'glow': '0 0 20px rgba(255,255,255,0.8)',
-      'none': 'none'
-    };
-
-    return shadowMap[shadowType.toLowerCase()] || '0 4px 8px rgba(0,0,0,0.3)';
+    return SHADOW_VOCABULARY[shadowType.toLowerCase()] || '0 4px 8px rgba(0,0,0,0.3)';
   }
+}
 
-  addUndoCapability(element, command) {
-    if (!element.dataset.voiceControlHistory) {
-      element.dataset.voiceControlHistory = JSON.stringify([]);
-    }
+// Answer to a pending preview: true for yes, false for no, null when it's something else.
+// English answers always count; language adds its own (see spoken-phrases.js).
+function parseConfirmation(transcript, language = '') {
+  if (isSpokenPhrase(transcript, language, 'yes')) return true;
+  if (isSpokenPhrase(transcript, language, 'no')) return false;
 
-    const history = JSON.parse(element.dataset.voiceControlHistory);
-    history.push({
-      command,
-      timestamp: Date.now(),
-      previousStyles: element.style.cssText
-    });
+  const normalized = (transcript || '').toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
 
-    element.dataset.voiceControlHistory = JSON.stringify(history.slice(-10));
-  }
+  if (/^(yes|yeah|yep|sure|ok|okay|apply|apply it|confirm|do it|keep it|looks good)( please)?$/.test(normalized)) return true;
+  if (/^(no|nope|cancel|discard|revert|undo|don t|never mind|nevermind)( it| that)?( please)?$/.test(normalized)) return false;
+  return null;
 }
@@ -5,6 +5,7 @@ class ElementDetector {
     this.isActive = false;
     this.onHoverCallback = null;
     this._lastHoverEmit = 0;
+    this.selectorEngine = new SelectorEngine();
     this.setupEventListeners();
     log('INFO', 'ElementDetector initialized');
   }
@@ -19,6 +20,9 @@ class ElementDetector {
     if (!this.isActive) return;
 
     const element = document.elementFromPoint(event.clientX, event.clientY);
+    // Pagician's own on-page UI (such as the clarification chooser) is never a target
+    if (element?.closest('[data-pagician-ui]')) return;
+
     if (element && element !== this.currentElement && element !== this.highlightOverlay) {
       log('DEBUG', 'Element hover detected', {
         tagName: element.tagName,
@@ -32,11 +36,7 @@ class ElementDetector {
       const now = Date.now();
       if (this.onHoverCallback && now - this._lastHoverEmit > 500) {
         this._lastHoverEmit = now;
-        const tag = element.tagName.toLowerCase();
-        const id = element.id ? `#${element.id}` : '';
-        const cls = element.className && typeof element.className === 'string'
-          ? '.' + element.className.trim().split(/\s+/).join('.') : '';
-        this.onHoverCallback(`<${tag}${id}${cls}>`);
+        this.onHoverCallback(this.describe(element));
       }
     }
   }
@@ -105,6 +105,25 @@ class ElementDetector {
     };
   }
 
+  // Short label for the activity log, e.g. <button#buy.primary>
+  describe(element) {
+    const tag = element.tagName.toLowerCase();
+    const id = element.id ? `#${element.id}` : '';
+    const cls = element.className && typeof element.className === 'string'
+      ? '.' + element.className.trim().split(/\s+/).join('.') : '';
+    return `<${tag}${id}${cls}>`;
+  }
+
+  // Stable descriptor for an element, see SelectorEngine
+  getSelector(element) {
+    return this.selectorEngine.generate(element);
+  }
+
+  // Returns { element, method } or null when the element can't be found again
+  findElement(selector) {
+    return this.selectorEngine.resolve(selector);
+  }
+
   activate() {
     this.isActive = true;
     log('INFO', 'ElementDetector activated');
@@ -0,0 +1,151 @@
+// Scores transcripts for signs that the speech model made them up (Whisper tends to
+// "hear" stock phrases in silence). Text rules add to the score, and so does weak
+// evidence of actual speech from AudioCapture; clear speech lowers it. A transcript
+// scoring HALLUCINATION_REJECT or more is dropped, as is any that matches a
+// reject-weight rule, however clearly it was spoken.
+
+const HALLUCINATION_REJECT = 1;
+// Passes on its own (and whenever there's no speech evidence); rejected once weak
+// evidence adds to it: little speech, choppy audio or barely above the noise floor
+const HALLUCINATION_SUSPECT = 0.6;
+
+const HALLUCINATION_RULES = [
+  { pattern: /(?:www\.)?[a-zA-Z0-9-]+\.[a-zA-Z]{2,}/i, weight: HALLUCINATION_REJECT, reason: 'URL or domain' },
+  { pattern: /thanks?\s+for\s+watching/i, weight: HALLUCINATION_REJECT, reason: 'video outro' },
+  { pattern: /subscribe\s+and\s+like/i, weight: HALLUCINATION_REJECT, reason: 'video outro' },
+  { pattern: /hit\s+the\s+bell/i, weight: HALLUCINATION_REJECT, reason: 'video outro' },
+  { pattern: /notification\s+squad/i, weight: HALLUCINATION_REJECT, reason: 'video outro' },
+  { pattern: /see\s+you\s+in\s+the\s+next/i, weight: HALLUCINATION_REJECT, reason: 'video outro' },
+  { pattern: /hamske?y\.com/i, weight: HALLUCINATION_REJECT, reason: 'URL or domain' },
+  { pattern: /^\s*[.!?]+\s*$/, weight: HALLUCINATION_REJECT, reason: 'only punctuation' },
+  { pattern: /music\s*$|\[music\]|\(music\)/i, weight: HALLUCINATION_REJECT, reason: 'background music' },
+  { pattern: /make it blue.*bigger.*hide it.*rotate.*add shadow/i, weight: HALLUCINATION_REJECT, reason: 'prompt echo' },
+  { pattern: /lorem\s+ipsum/i, weight: HALLUCINATION_REJECT, reason: 'placeholder text' },
+  { pattern: /^\s*(um|uh|ah|er|hmm|well|so|like|you\s+know)\s*$/i, weight: HALLUCINATION_REJECT, reason: 'filler words' },
+  // Real commands too, so these only count against weak-sounding audio
+  { pattern: /^make it (red|blue|green|bigger|smaller)$/i, weight: HALLUCINATION_SUSPECT, reason: 'common silence echo' },
+  { pattern: /^(change color|hide it|show it)$/i, weight: HALLUCINATION_SUSPECT, reason: 'common silence echo' },
+  { pattern: /^\s*(red|blue|green|yellow|black|white|bigger|smaller|hide|show|color|size)\s*$/i, weight: HALLUCINATION_SUSPECT, reason: 'single command word' },
+  { pattern: /hello\s+world|sample\s+text|placeholder|test\s+text|example\s+text|default\s+text/i, weight: HALLUCINATION_SUSPECT, reason: 'placeholder text' },
+  { pattern: /click\s+here|type\s+here|enter\s+text/i, weight: HALLUCINATION_SUSPECT, reason: 'placeholder text' },
+  { pattern: /^(hello|hi|test|sample|example)$/i, weight: HALLUCINATION_SUSPECT, reason: 'placeholder text' },
+  // Short answers like "yes", "one" or "2." are usually real unless the audio was weak
+  { pattern: /^\s*\S{1,3}\s*$/, weight: HALLUCINATION_SUSPECT, reason: 'very short' }
+];
+
+class HallucinationFilter {
+  // customRules come from settings: [{ pattern, mode: 'exact' | 'contains' | 'regex', weight: 'reject' | 'suspect' }]
+  constructor(customRules = []) {
+    this.rules = [...HALLUCINATION_RULES, ...HallucinationFilter.compileRules(customRules)];
+
+    // Speech evidence thresholds
+    this.MIN_SPEECH_MS = 300;
+    this.MIN_VOICED_RATIO = 0.3;
+    this.MIN_PEAK_RATIO = 4; // Peak RMS over the noise floor
+    this.CLEAR_SPEECH_MS = 400;
+    this.CLEAR_VOICED_RATIO = 0.5;
+    this.CLEAR_PEAK_RATIO = 8;
+    this.CLEAR_SPEECH_BONUS = 0.3;
+    this.MIN_ALPHA_RATIO = 0.5;
+    this.MIN_PROMPT_ECHO_LENGTH = 20; // Shorter text may be a vocabulary term actually spoken
+    this.SHORT_NUMBER = /^\d{1,2}(st|nd|rd|th)?$/;
+  }
+
+  static compileRules(customRules) {
+    return (customRules || []).map((rule) => {
+      const text = (rule.pattern || '').trim();
+      if (!text) return null;
+
+      try {
+        const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const source = rule.mode === 'regex' ? text
+          : rule.mode === 'exact' ? `^\\s*${escaped}[\\s.!?]*$` : escaped;
+        return {
+          pattern: new RegExp(source, 'i'),
+          weight: rule.weight === 'suspect' ? HALLUCINATION_SUSPECT : HALLUCINATION_REJECT,
+          reason: `custom rule "${text}"`
+        };
+      } catch (error) {
+        log('WARN', 'Ignoring invalid custom filter rule', { pattern: text, error: error.message });
+        return null;
+      }
+    }).filter(Boolean);
+  }
+
+  // evidence is utterance.evidence from AudioCapture, or null (e.g. Web Speech);
+  // prompt is the transcription prompt, which Whisper sometimes returns for silence
+  check(transcript, evidence = null, prompt = '') {
+    if (!transcript || !transcript.trim()) {
+      return { accepted: false, score: HALLUCINATION_REJECT, reasons: ['empty'] };
+    }
+
+    let score = 0;
+    let rejected = false;
+    const reasons = [];
+
+    this.rules.forEach((rule) => {
+      if (rule.pattern.test(transcript)) {
+        score += rule.weight;
+        rejected = rejected || rule.weight >= HALLUCINATION_REJECT;
+        reasons.push(rule.reason);
+      }
+    });
+
+    const bare = transcript.trim().replace(/[.!?]+$/, '').toLowerCase();
+    if (prompt && bare.length >= this.MIN_PROMPT_ECHO_LENGTH && prompt.toLowerCase().includes(bare)) {
+      score += HALLUCINATION_REJECT;
+      rejected = true;
+      reasons.push('prompt echo');
+    }
+
+    // Letters and combining marks in any script, so Cyrillic, CJK or Devanagari count.
+    // Short numbers ("2.", "3rd") answer the chooser; the very short rule weighs them.
+    const letterCount = (transcript.match(/[\p{L}\p{M}]/gu) || []).length;
+    if (!this.SHORT_NUMBER.test(bare) && letterCount / transcript.length < this.MIN_ALPHA_RATIO) {
+      score += HALLUCINATION_REJECT;
+      rejected = true;
+      reasons.push('mostly non-letters');
+    }
+
+    const speech = this.scoreEvidence(evidence);
+    score += speech.score;
+    reasons.push(...speech.reasons);
+
+    return {
+      accepted: !rejected && score < HALLUCINATION_REJECT,
+      score: Math.round(score * 100) / 100,
+      reasons
+    };
+  }
+
+  scoreEvidence(evidence) {
+    if (!evidence) return { score: 0, reasons: [] };
+
+    let score = 0;
+    const reasons = [];
+    const peakRatio = evidence.peakRms / Math.max(evidence.noiseFloor || 0, 0.001);
+
+    if (evidence.speechMs < this.MIN_SPEECH_MS) {
+      score += 0.5;
+      reasons.push(`only ${evidence.speechMs}ms of speech`);
+    }
+    if (evidence.voicedRatio < this.MIN_VOICED_RATIO) {
+      score += 0.3;
+      reasons.push(`choppy audio (${Math.round(evidence.voicedRatio * 100)}% voiced)`);
+    }
+    if (peakRatio < this.MIN_PEAK_RATIO) {
+      score += 0.3;
+      reasons.push('barely above background noise');
+    }
+
+    const clear = evidence.speechMs >= this.CLEAR_SPEECH_MS
+      && evidence.voicedRatio >= this.CLEAR_VOICED_RATIO
+      && peakRatio >= this.CLEAR_PEAK_RATIO;
+    if (clear) {
+      score -= this.CLEAR_SPEECH_BONUS;
+      reasons.push('clearly spoken');
+    }
+
+    return { score, reasons };
+  }
+}
@@ -0,0 +1,252 @@
+// Command interpretation backends, used by the background worker on behalf of
+// CommandProcessor. Each provider implements complete({ systemPrompt, userMessage, schema, signal })
+// and resolves with the parsed JSON object, already validated against the schema.
+// Aborting signal rejects with an AbortError.
+
+class AnthropicProvider {
+  constructor({ apiKey, model, temperature, timeoutMs }) {
+    this.name = 'Anthropic';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.temperature = temperature;
+    this.timeoutMs = timeoutMs;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async complete({ systemPrompt, userMessage, schema, signal }) {
+    const response = await fetchWithTimeout('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01',
+        'content-type': 'application/json',
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: 1024,
+        temperature: this.temperature,
+        system: systemPrompt,
+        messages: [
+          { role: 'user', content: userMessage }
+        ],
+        output_config: {
+          format: {
+            type: 'json_schema',
+            schema
+          }
+        }
+      })
+    }, this.timeoutMs, signal);
+
+    const result = await readJsonResponse(response, this.name);
+    log('INFO', 'Anthropic response received', {
+      stopReason: result.stop_reason,
+      contentLength: result.content?.[0]?.text?.length
+    });
+
+    return parseStructuredOutput(result.content?.[0]?.text, schema);
+  }
+}
+
+class OpenAIChatProvider {
+  constructor({ apiKey, model, temperature, timeoutMs, baseUrl = 'https://api.openai.com/v1', responseFormat = 'json_schema' }) {
+    this.name = 'OpenAI';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.temperature = temperature;
+    this.timeoutMs = timeoutMs;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.responseFormat = responseFormat;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  buildResponseFormat(schema) {
+    if (this.responseFormat === 'json_object') {
+      return { type: 'json_object' };
+    }
+    return {
+      type: 'json_schema',
+      json_schema: { name: 'dom_command', schema, strict: true }
+    };
+  }
+
+  async complete({ systemPrompt, userMessage, schema, signal }) {
+    // json_object mode only guarantees JSON, so spell out the schema in the prompt
+    const system = this.responseFormat === 'json_object'
+      ? `${systemPrompt}\n\nRespond with a single JSON object matching this JSON schema:\n${JSON.stringify(schema)}`
+      : systemPrompt;
+
+    const headers = { 'content-type': 'application/json' };
+    if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+
+    const response = await fetchWithTimeout(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.model,
+        temperature: this.temperature,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: userMessage }
+        ],
+        response_format: this.buildResponseFormat(schema)
+      })
+    }, this.timeoutMs, signal);
+
+    const result = await readJsonResponse(response, this.name);
+    const message = result.choices?.[0]?.message;
+    log('INFO', `${this.name} response received`, {
+      finishReason: result.choices?.[0]?.finish_reason,
+      contentLength: message?.content?.length
+    });
+
+    if (message?.refusal) {
+      throw new Error(`${this.name} refused the request: ${message.refusal}`);
+    }
+
+    return parseStructuredOutput(message?.content, schema);
+  }
+}
+
+// Any OpenAI-compatible chat completions server, such as Ollama or llama.cpp server.
+// The API key is optional for local servers.
+class OpenAICompatibleProvider extends OpenAIChatProvider {
+  constructor(config) {
+    super({ ...config, baseUrl: config.baseUrl || '' });
+    this.name = 'OpenAI-compatible endpoint';
+  }
+
+  isConfigured() {
+    return !!this.baseUrl && !!this.model;
+  }
+}
+
+function createLlmProvider(settings, { openaiApiKey, anthropicApiKey }) {
+  const config = settings.llmProviders[settings.llmProvider] || {};
+
+  switch (settings.llmProvider) {
+    case 'openai':
+      return new OpenAIChatProvider({ ...config, apiKey: openaiApiKey });
+    case 'compatible':
+      return new OpenAICompatibleProvider(config);
+    case 'anthropic':
+    default:
+      return new AnthropicProvider({ ...config, apiKey: anthropicApiKey });
+  }
+}
+
+// signal lets the caller cancel the request too; only a timeout becomes an ordinary error
+async function fetchWithTimeout(url, options, timeoutMs, signal = null) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const abort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', abort);
+
+  try {
+    if (signal?.aborted) controller.abort();
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError' && !signal?.aborted) {
+      throw new Error(`Request timed out after ${timeoutMs}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', abort);
+  }
+}
+
+async function readJsonResponse(response, providerName) {
+  if (!response.ok) {
+    const errorText = await response.text();
+    log('ERROR', `${providerName} request failed`, {
+      status: response.status,
+      body: errorText
+    });
+    throw new Error(`${providerName} API error: ${response.status} — ${errorText}`);
+  }
+  return response.json();
+}
+
+function parseStructuredOutput(text, schema) {
+  if (!text) {
+    throw new Error('Empty response from model');
+  }
+
+  // Local models sometimes wrap JSON in a markdown code fence
+  const json = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Model returned invalid JSON: ${error.message}`);
+  }
+
+  const errors = validateAgainstSchema(value, schema);
+  if (errors.length > 0) {
+    log('WARN', 'Structured output failed schema validation', { errors });
+    throw new Error(`Model output does not match the command schema: ${errors[0]}`);
+  }
+
+  return value;
+}
+
+// Minimal JSON Schema check covering the keywords DOM_ACTION_SCHEMA uses:
+// type, enum, properties, required, additionalProperties and items
+function validateAgainstSchema(value, schema, path = '$') {
+  if (!schema) return [];
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesJsonType(value, type))) {
+    return [`${path} should be ${types.join(' or ')}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (matchesJsonType(value, 'object')) {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    });
+
+    Object.entries(value).forEach(([key, item]) => {
+      if (schema.properties?.[key]) {
+        errors.push(...validateAgainstSchema(item, schema.properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+function matchesJsonType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    default: return true;
+  }
+}
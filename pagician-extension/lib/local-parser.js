@@ -0,0 +1,227 @@
+// Grammar-based interpreter for common commands ("make it blue", "hide it",
+// "rotate 90 degrees"). CommandProcessor tries it before calling the LLM; it
+// returns null for anything it can't parse completely.
+
+const LOCAL_SUBJECTS = {
+  'it': 'element', 'this': 'element', 'that': 'element', 'this one': 'element',
+  'the text': 'text', 'the font': 'text', 'the text color': 'text', 'the font color': 'text',
+  'its text color': 'text', 'the color': 'element', 'its color': 'element',
+  'the background': 'background', 'the background color': 'background', 'its background': 'background',
+  'its background color': 'background'
+};
+
+const LOCAL_DIMENSION_WORDS = {
+  'wider': ['changeWidth', 'bigger'],
+  'narrower': ['changeWidth', 'smaller'],
+  'thinner': ['changeWidth', 'smaller'],
+  'taller': ['changeHeight', 'bigger'],
+  'shorter': ['changeHeight', 'smaller']
+};
+
+const LOCAL_SHADOW_ALIASES = { 'big': 'large', 'soft': 'subtle', 'light': 'subtle', 'heavy': 'strong' };
+
+class LocalCommandParser {
+  constructor() {
+    this.CONFIDENCE = 0.95;
+    this.VISUAL_CLASS_PATTERN = /shape|visual|graphic|color/i;
+  }
+
+  parse(transcript, elementContext) {
+    if (!transcript) return null;
+
+    const text = this.parseTextCommand(transcript);
+    const actions = text ? [text] : this.parseClauses(this.normalize(transcript), elementContext);
+    if (!actions) return null;
+
+    return {
+      actions,
+      target: describeElementContext(elementContext),
+      confidence: this.CONFIDENCE
+    };
+  }
+
+  normalize(transcript) {
+    return transcript.toLowerCase()
+      .replace(/colour/g, 'color')
+      .replace(/[^a-z0-9%.\s,-]/g, ' ')
+      .replace(/\.(?!\d)/g, ' ')
+      .replace(/^\s*(please|ok|okay|now|can you|could you)\b/g, ' ')
+      .replace(/\bplease\s*$/, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Text commands keep the speaker's casing and are never split on "and"
+  parseTextCommand(transcript) {
+    const match = transcript.trim().match(/^(change|set|replace|add|append)\s+(?:the\s+)?text\s+(?!colou?r\b|size\b)(?:to|with)?\s*(.+?)\.?$/i);
+    if (!match) return null;
+
+    const value = match[2].trim().replace(/^["'“”]+|["'“”]+$/g, '');
+    if (!value) return null;
+
+    const isAdd = ['add', 'append'].includes(match[1].toLowerCase());
+    return { action: isAdd ? 'addText' : 'changeText', value };
+  }
+
+  // Every clause must parse, and each action may appear only once
+  parseClauses(normalized, elementContext) {
+    const clauses = normalized.split(/\s*(?:,|\band then\b|\bthen\b|\band\b)\s*/).filter(Boolean);
+    if (clauses.length === 0) return null;
+
+    const actions = [];
+    for (let i = 0; i < clauses.length; i++) {
+      const action = this.parseClause(clauses[i], elementContext, i > 0);
+      if (!action || actions.some(item => item.action === action.action)) return null;
+      actions.push(action);
+    }
+    return actions;
+  }
+
+  parseClause(clause, elementContext, allowBare) {
+    return this.parseVisibility(clause)
+      || this.parseRotation(clause)
+      || this.parseShadow(clause)
+      || this.parseBorder(clause)
+      || this.parseHighlight(clause)
+      || this.parseMeasurement(clause)
+      || this.parseDescriptor(clause, elementContext, allowBare);
+  }
+
+  parseVisibility(clause) {
+    if (/^(hide|remove|get rid of)( it| this| that| this one)?$/.test(clause)) {
+      return { action: 'hide', value: '' };
+    }
+    if (/^(show|unhide)( it| this| that)?( again)?$/.test(clause)) {
+      return { action: 'show', value: '' };
+    }
+    return null;
+  }
+
+  parseRotation(clause) {
+    if (/^(flip|turn|rotate) (it|this|that)( upside down| around)$/.test(clause)) {
+      return { action: 'rotate', value: '180deg' };
+    }
+
+    const match = clause.match(/^(rotate|spin|tilt|turn)( it| this| that)?( by)?( -?\d+)?( ?(degrees?|deg))?( (clockwise|counterclockwise|anticlockwise|counter clockwise))?$/);
+    if (!match) return null;
+
+    const degrees = match[4] ? parseInt(match[4], 10) : null;
+    // "turn it" alone is too vague; "turn it 90 degrees" is not
+    if (match[1] === 'turn' && degrees === null) return null;
+
+    const direction = match[8] && match[8] !== 'clockwise' ? -1 : 1;
+    return { action: 'rotate', value: `${(degrees ?? 45) * direction}deg` };
+  }
+
+  parseShadow(clause) {
+    if (/^(remove|get rid of|no)( the)?( drop)? shadow$/.test(clause)) {
+      return { action: 'addShadow', value: 'none' };
+    }
+
+    const match = clause.match(/^(add|give it|put)( a| an)?( (\w+))?( drop)? shadow( to it| to this| on it)?$/);
+    if (!match) return null;
+
+    const type = LOCAL_SHADOW_ALIASES[match[4]] || match[4] || 'medium';
+    if (!SHADOW_VOCABULARY[type] || type === 'none') return null;
+    return { action: 'addShadow', value: type };
+  }
+
+  parseBorder(clause) {
+    if (/^(remove|get rid of|no)( the)? border$/.test(clause)) {
+      return { action: 'changeBorder', value: 'none' };
+    }
+
+    const match = clause.match(/^(add|give it|put)( a| an)?( ([a-z ]+?))? border( to it| around it| around this)?$/);
+    if (!match) return null;
+
+    const color = match[4] || 'black';
+    return COLOR_VOCABULARY[color] ? { action: 'changeBorder', value: color } : null;
+  }
+
+  parseHighlight(clause) {
+    const match = clause.match(/^highlight( it| this| that| this text| the text)?( in ([a-z ]+))?$/);
+    if (!match) return null;
+
+    const color = match[3] || 'yellow';
+    return COLOR_VOCABULARY[color] ? { action: 'changeBackgroundColor', value: color } : null;
+  }
+
+  // "opacity 50%", "set the width to 200 pixels", "double the size"
+  parseMeasurement(clause) {
+    const opacity = clause.match(/^(set |make |change )?(the |its )?opacity (to )?(\d+(\.\d+)?)( ?%| percent)?$/)
+      || clause.match(/^(make it |set it to )?(\d+(\.\d+)?)( ?%| percent) opacity$/);
+    if (opacity) {
+      const isPercent = clause.includes('%') || clause.includes('percent');
+      const number = parseFloat(clause.match(/\d+(\.\d+)?/)[0]);
+      const value = isPercent || number > 1 ? number / 100 : number;
+      return value >= 0 && value <= 1 ? { action: 'changeOpacity', value: String(value) } : null;
+    }
+
+    const dimension = clause.match(/^(set |make |change )?(the |its )?(width|height) (to )?(\d+) ?(px|pixels?|%|percent)$/);
+    if (dimension) {
+      const unit = dimension[6].startsWith('p') && dimension[6] !== 'percent' ? 'px' : '%';
+      const action = dimension[3] === 'width' ? 'changeWidth' : 'changeHeight';
+      return { action, value: `${dimension[5]}${unit}` };
+    }
+
+    const scale = clause.match(/^(double|half|halve) (the |its )?size$/);
+    if (scale) {
+      return { action: 'changeSize', value: scale[1] === 'double' ? 'double' : 'half' };
+    }
+
+    return null;
+  }
+
+  // "make it blue", "turn the background red", "bigger", "semi-transparent"
+  parseDescriptor(clause, elementContext, allowBare) {
+    const subjects = Object.keys(LOCAL_SUBJECTS)
+      .sort((a, b) => b.length - a.length)
+      .join('|');
+    const match = clause.match(new RegExp(`^(?:(make|turn|paint|color|change|set) )?(?:(${subjects}) )?(?:(?:to|into) )?(.+)$`));
+    if (!match) return null;
+
+    const [, verb, subjectPhrase, word] = match;
+    if (!verb && !allowBare) return null;
+
+    const subject = LOCAL_SUBJECTS[subjectPhrase] || 'element';
+
+    if (COLOR_VOCABULARY[word]) {
+      return { action: this.colorAction(subject, elementContext), value: word };
+    }
+
+    // Size and opacity words only describe the element as a whole
+    if (subject !== 'element') return null;
+
+    if (SIZE_VOCABULARY[word] && !['double', 'half'].includes(word)) {
+      return { action: 'changeSize', value: word };
+    }
+    if (LOCAL_DIMENSION_WORDS[word]) {
+      const [action, value] = LOCAL_DIMENSION_WORDS[word];
+      return { action, value };
+    }
+    if (OPACITY_VOCABULARY[word]) {
+      return { action: 'changeOpacity', value: word };
+    }
+
+    return null;
+  }
+
+  // Mirrors the prompt's rules: visual elements get a background, text gets a text color
+  colorAction(subject, elementContext) {
+    if (subject === 'text') return 'changeColor';
+    if (subject === 'background') return 'changeBackgroundColor';
+    return this.isVisualElement(elementContext) ? 'changeBackgroundColor' : 'changeColor';
+  }
+
+  isVisualElement(elementContext) {
+    if (!elementContext) return true;
+
+    const tag = elementContext.tagName;
+    const className = typeof elementContext.className === 'string' ? elementContext.className : '';
+    const text = (elementContext.textContent || '').trim();
+
+    return ['img', 'svg', 'canvas', 'video'].includes(tag)
+      || this.VISUAL_CLASS_PATTERN.test(className)
+      || text.length < 10;
+  }
+}
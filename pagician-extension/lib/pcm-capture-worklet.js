@@ -0,0 +1,28 @@
+// Runs in the AudioWorkletGlobalScope, loaded by AudioCapture through
+// audioWorklet.addModule (not a content script, so no logger here).
+// Forwards the microphone's first channel to the main thread in fixed-size blocks.
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.FRAMES_PER_MESSAGE = 2048;
+    this.block = new Float32Array(this.FRAMES_PER_MESSAGE);
+    this.length = 0;
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (!channel) return true;
+
+    for (let i = 0; i < channel.length; i++) {
+      this.block[this.length++] = channel[i];
+      if (this.length === this.FRAMES_PER_MESSAGE) {
+        this.port.postMessage(this.block, [this.block.buffer]);
+        this.block = new Float32Array(this.FRAMES_PER_MESSAGE);
+        this.length = 0;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor('pcm-capture', PcmCaptureProcessor);
@@ -1,37 +1,84 @@
+const ACTION_LIST_SCHEMA = {
+  type: "array",
+  description: "Ordered list of changes to apply to the target element, in the order the user spoke them",
+  items: {
+    type: "object",
+    properties: {
+      action: {
+        type: "string",
+        enum: [
+          "changeColor", "changeBackgroundColor", "changeSize",
+          "changeWidth", "changeHeight", "changeOpacity",
+          "rotate", "addShadow", "changeBorder",
+          "hide", "show", "changeText", "addText", "setStyle",
+          "adjustSpacing", "nudge", "align", "arrange", "reorder"
+        ]
+      },
+      value: {
+        type: "string",
+        description: "New value to apply (color name, size, text, etc.); for setStyle, CSS declarations such as \"border-radius: 12px; padding: 16px\""
+      }
+    },
+    required: ["action", "value"],
+    additionalProperties: false
+  }
+};
+
+// Properties setStyle may change: listed in the prompt and enforced by DOMManipulator.
+// Layout-escaping ones such as position, z-index or content are left out so a
+// misheard command can't cover or rewrite the page.
+const SET_STYLE_PROPERTIES = [
+  'color', 'background-color', 'background-image', 'opacity',
+  'font-size', 'font-weight', 'font-style', 'font-family', 'font-variant',
+  'letter-spacing', 'word-spacing', 'line-height', 'text-align', 'text-decoration',
+  'text-transform', 'text-shadow', 'text-indent', 'white-space',
+  'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+  'margin', 'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+  'border', 'border-width', 'border-style', 'border-color', 'border-radius',
+  'border-top', 'border-right', 'border-bottom', 'border-left',
+  'outline', 'outline-offset', 'box-shadow', 'filter',
+  'width', 'height', 'min-width', 'min-height', 'max-width', 'max-height',
+  'cursor', 'overflow', 'text-overflow', 'object-fit', 'vertical-align'
+];
+
 const DOM_ACTION_SCHEMA = {
   type: "object",
   properties: {
-    action: {
-      type: "string",
-      enum: [
-        "changeColor", "changeBackgroundColor", "changeSize",
-        "changeWidth", "changeHeight", "changeOpacity",
-        "rotate", "addShadow", "changeBorder",
-        "hide", "show", "changeText", "addText"
-      ]
-    },
+    actions: ACTION_LIST_SCHEMA,
     target: {
       type: "string",
       description: "Description of the target element"
     },
-    value: {
-      type: "string",
-      description: "New value to apply (color name, size, text, etc.)"
-    },
     confidence: {
       type: "number",
       description: "Confidence level 0-1 for this interpretation"
+    },
+    alternatives: {
+      type: "array",
+      description: "Up to two other plausible interpretations when the command is ambiguous, otherwise empty",
+      items: {
+        type: "object",
+        properties: {
+          actions: ACTION_LIST_SCHEMA,
+          confidence: {
+            type: "number",
+            description: "Confidence level 0-1 for this interpretation"
+          }
+        },
+        required: ["actions", "confidence"],
+        additionalProperties: false
+      }
     }
   },
-  required: ["action", "target", "value", "confidence"],
+  required: ["actions", "target", "confidence", "alternatives"],
   additionalProperties: false
 };
 
-function buildCommandPrompt(transcript, elementContext) {
+function buildCommandPrompt(transcript, elementContext, history = [], clarifications = [], language = '') {
   return `You are a voice command interpreter for web page manipulation.
 Current element context: ${JSON.stringify(elementContext)}
 User said: "${transcript}"
-
+${buildHistorySection(elementContext, history)}${buildClarificationSection(clarifications)}${buildLanguageSection(language)}
 ELEMENT TYPE PRIORITY RULES (CRITICAL):
 - For visual elements (div.shape, canvas, svg, img, colored divs): STRONGLY prefer visual actions (changeColor, changeBackgroundColor, changeSize, rotate, addShadow)
 - For elements with minimal/no text content (<10 chars): PREFER visual actions over text actions
@@ -67,11 +114,122 @@ IMPORTANT for text commands:
 - Do not be helpful by suggesting default text - only use the user's actual words
 - Text commands require explicit new text content (e.g., "change text to hello")
 
+MULTIPLE CHANGES IN ONE SENTENCE:
+- Return one entry in "actions" per requested change, in the order the user said them
+- Most commands contain a single change — only split when the user clearly asks for several
+- "make it red, bigger and add a shadow" = [changeBackgroundColor: red, changeSize: bigger, addShadow: medium]
+- "make the text white and the background black" = [changeColor: white, changeBackgroundColor: black]
+- Use one "confidence" for the whole list; lower it if any part is unclear
+
+LAYOUT AND POSITION:
+- adjustSpacing: "<margin|padding>[-top|-right|-bottom|-left] <amount>", where "+16px"/"-16px" adjust the current spacing and "24px" or "0" set it
+  - "add more space below" = [adjustSpacing: margin-bottom +16px]
+  - "give it 24 pixels of padding" = [adjustSpacing: padding 24px]
+  - "remove the space above" = [adjustSpacing: margin-top 0]
+- nudge: "<left|right|up|down> <pixels>px", several directions allowed; moves the element visually without reflowing the page
+  - "move it 20 pixels left" = [nudge: left 20px]
+  - "move it up a bit" = [nudge: up 10px]
+  - "move it right 30 and down 10" = [nudge: right 30px down 10px]
+- align: "<left|center|right>" and/or "<top|middle|bottom>" within the parent element
+  - "center this" = [align: center]
+  - "align it to the right" = [align: right]
+  - "center the text" is a text style, not alignment = [setStyle: text-align: center]
+- arrange: "<row|column|grid N> [wrap] [gap <amount>]"; lays out the current element's children, or the element and its siblings when it has no children
+  - "put these side by side" = [arrange: row]
+  - "stack them vertically" = [arrange: column]
+  - "make it a three column grid" = [arrange: grid 3]
+  - "more space between these" = [arrange: gap +8px]
+- reorder: "<up|down> [count]" or "<first|last>" among the element's siblings
+  - "move this above the previous item" = [reorder: up]
+  - "move it down two places" = [reorder: down 2]
+  - "move it to the top of the list" = [reorder: first]
+
+OTHER STYLE CHANGES (setStyle):
+- Use setStyle only when none of the actions above fits; its value is CSS declarations separated by ";"
+- Allowed properties: ${SET_STYLE_PROPERTIES.join(', ')}
+- Use concrete CSS values, never url()
+- "round the corners" = [setStyle: border-radius: 12px]
+- "underline it" = [setStyle: text-decoration: underline]
+- "space out the letters" = [setStyle: letter-spacing: 0.1em]
+- "make it bold and italic" = [setStyle: font-weight: bold; font-style: italic]
+
+AMBIGUOUS COMMANDS:
+- When you are unsure, keep your best guess in "actions" and add up to two other plausible interpretations to "alternatives", each with its own confidence
+- The user is shown all of them and picks one, so make the alternatives genuinely different
+- When the command is clear, return an empty "alternatives" list
+
 Common examples:
-- "make it bigger" = changeSize: bigger
-- "hide it" = hide
-- "highlight this" → changeBackgroundColor: yellow
-- "rotate it" = rotate: 45deg
+- "make it bigger" = [changeSize: bigger]
+- "hide it" = [hide]
+- "highlight this" → [changeBackgroundColor: yellow]
+- "rotate it" = [rotate: 45deg]
 
 Return a structured command or null if not a valid command.`;
 }
+
+function buildHistorySection(elementContext, history) {
+  if (history.length === 0) return '';
+
+  const current = describeElementContext(elementContext);
+  const lines = history.map((item, index) => {
+    const where = item.element === current ? `${item.element} (the current element)` : item.element;
+    return `${index + 1}. "${item.transcript}" on ${where} → ${describeActions(item.actions)}`;
+  });
+
+  return `
+RECENT COMMANDS (oldest first, the last one is the most recent):
+${lines.join('\n')}
+
+FOLLOW-UP COMMANDS:
+- Use recent commands only when the user refers back to them; otherwise interpret the new command on its own
+- "more", "even bigger", "a bit more" = repeat the most recent change in the same direction (e.g. after changeSize: bigger, "even bigger" = [changeSize: bigger])
+- "no, darker", "lighter", "actually blue" = correct the most recent change (e.g. after changeBackgroundColor: red, "no, darker" = [changeBackgroundColor: darkred])
+- "do that again", "same for this one", "apply the same to this button" = repeat the most recent actions on the current element
+`;
+}
+
+// The examples below are English, but commands may be spoken in any language
+function buildLanguageSection(language) {
+  const spoken = language ? `The user speaks ${describeLanguage(language)}.` : 'The user may speak any language.';
+
+  return `
+LANGUAGE:
+- ${spoken} Interpret the command in that language and map it to the same actions as its English equivalent
+- Action names always stay as listed; colors, sizes and other non-text values are CSS values (e.g. "hazlo rojo" = [changeBackgroundColor: red], "mach es größer" = [changeSize: bigger])
+- For changeText and addText, use the user's words exactly as spoken, in their language
+`;
+}
+
+// Past answers to the on-page chooser, so similar phrasings resolve the same way
+function buildClarificationSection(clarifications) {
+  if (clarifications.length === 0) return '';
+
+  const lines = clarifications.map((item) => {
+    const offered = item.offered.map(describeActions).join(' or ');
+    return item.chosen
+      ? `- "${item.transcript}": offered ${offered}, user chose ${describeActions(item.chosen)}`
+      : `- "${item.transcript}": offered ${offered}, user rejected all of them`;
+  });
+
+  return `
+PAST CLARIFICATIONS (how this user resolved ambiguous commands; prefer their choices for similar phrasing):
+${lines.join('\n')}
+`;
+}
+
+function describeActions(actions) {
+  return `[${actions.map(({ action, value }) => (value ? `${action}: ${value}` : action)).join(', ')}]`;
+}
+
+// Short label for an element in the prompt, e.g. <button#buy.primary> "Buy now"
+function describeElementContext(context) {
+  if (!context) return 'unknown element';
+
+  const classes = typeof context.className === 'string' && context.className.trim()
+    ? '.' + context.className.trim().split(/\s+/).slice(0, 2).join('.')
+    : '';
+  const id = context.id ? `#${context.id}` : '';
+  const text = context.textContent ? ` "${context.textContent.trim().replace(/\s+/g, ' ').substring(0, 40)}"` : '';
+
+  return `<${context.tagName}${id}${classes}>${text}`;
+}
@@ -0,0 +1,364 @@
+// Generates stable, unique selectors for page elements and finds them again
+// later (after a reload, from a shared changeset or an exported report).
+//
+// A descriptor looks like:
+//   { css, xpath, strategy, fingerprint: { tag, text, classes, attributes, parent, index } }
+// The fingerprint is used to re-find the element when both css and xpath stop matching.
+class SelectorEngine {
+  constructor() {
+    this.TEST_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy'];
+    this.LABEL_ATTRIBUTES = ['aria-label', 'name', 'alt', 'title'];
+    this.STATE_CLASSES = ['active', 'hover', 'focus', 'focused', 'selected', 'open', 'show', 'visible', 'hidden', 'disabled'];
+    this.MAX_CLASS_DEPTH = 3;
+    this.MIN_FALLBACK_SCORE = 3;
+  }
+
+  generate(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+
+    const { css, strategy } = this.buildCss(element);
+    const descriptor = {
+      css,
+      xpath: this.getXPath(element),
+      strategy,
+      fingerprint: this.getFingerprint(element)
+    };
+
+    log('DEBUG', 'Selector generated', { css, strategy });
+    return descriptor;
+  }
+
+  buildCss(element) {
+    if (element === document.documentElement) return { css: 'html', strategy: 'path' };
+    if (element === document.body) return { css: 'body', strategy: 'path' };
+
+    const strategies = [
+      ['id', () => this.idSelector(element)],
+      ['testid', () => this.testIdSelector(element)],
+      ['aria', () => this.labelSelector(element)],
+      ['class', () => this.classSelector(element)]
+    ];
+
+    for (const [strategy, build] of strategies) {
+      const css = build();
+      if (css) return { css, strategy };
+    }
+
+    return { css: this.pathSelector(element), strategy: 'path' };
+  }
+
+  isUnique(css, element) {
+    try {
+      const matches = document.querySelectorAll(css);
+      return matches.length === 1 && (!element || matches[0] === element);
+    } catch {
+      return false;
+    }
+  }
+
+  isStableId(id) {
+    // Skip ids that look generated by frameworks or build tools
+    return !!id &&
+      !/^\d/.test(id) &&
+      !/\d{4,}/.test(id) &&
+      !/[0-9a-f]{8,}/i.test(id) &&
+      !/^(ember|react|radix|mui|headlessui|:r)/i.test(id);
+  }
+
+  stableClasses(element) {
+    if (typeof element.className !== 'string') return [];
+    return element.className.trim().split(/\s+/).filter(cls =>
+      cls &&
+      cls !== 'voice-control-highlight' &&
+      !this.STATE_CLASSES.includes(cls) &&
+      !/^(is|has)-/.test(cls) &&
+      !/^(css|sc|jsx|emotion|svelte)-/i.test(cls) &&
+      !/\d{3,}/.test(cls) &&
+      !/[0-9a-f]{6,}/i.test(cls)
+    );
+  }
+
+  attributeSelector(name, value) {
+    return `[${name}="${value.replace(/["\\]/g, '\\$&')}"]`;
+  }
+
+  idSelector(element) {
+    if (!this.isStableId(element.id)) return null;
+    const css = `#${CSS.escape(element.id)}`;
+    return this.isUnique(css, element) ? css : null;
+  }
+
+  testIdSelector(element) {
+    for (const name of this.TEST_ATTRIBUTES) {
+      const value = element.getAttribute(name);
+      if (!value) continue;
+      const css = this.attributeSelector(name, value);
+      if (this.isUnique(css, element)) return css;
+    }
+    return null;
+  }
+
+  labelSelector(element) {
+    const tag = element.tagName.toLowerCase();
+    const role = element.getAttribute('role');
+
+    for (const name of this.LABEL_ATTRIBUTES) {
+      const value = element.getAttribute(name);
+      if (!value || value.length > 80) continue;
+
+      const css = `${tag}${this.attributeSelector(name, value)}`;
+      if (this.isUnique(css, element)) return css;
+
+      if (role) {
+        const withRole = `${tag}${this.attributeSelector('role', role)}${this.attributeSelector(name, value)}`;
+        if (this.isUnique(withRole, element)) return withRole;
+      }
+    }
+    return null;
+  }
+
+  // Short selectors built from tag + class names, optionally scoped by a nearby ancestor
+  classSelector(element) {
+    const candidates = this.classCandidates(element);
+    if (candidates.length === 0) return null;
+
+    for (const css of candidates) {
+      if (this.isUnique(css, element)) return css;
+    }
+
+    let ancestor = element.parentElement;
+    for (let depth = 0; depth < this.MAX_CLASS_DEPTH && ancestor && ancestor !== document.body; depth++) {
+      const anchor = this.anchorSelector(ancestor);
+      if (anchor) {
+        for (const css of candidates) {
+          const scoped = `${anchor} ${css}`;
+          if (this.isUnique(scoped, element)) return scoped;
+        }
+      }
+      ancestor = ancestor.parentElement;
+    }
+    return null;
+  }
+
+  classCandidates(element) {
+    const tag = element.tagName.toLowerCase();
+    const classes = this.stableClasses(element).slice(0, 3).map(cls => `.${CSS.escape(cls)}`);
+    const candidates = classes.map(cls => `${tag}${cls}`);
+
+    for (let i = 0; i < classes.length; i++) {
+      for (let j = i + 1; j < classes.length; j++) {
+        candidates.push(`${tag}${classes[i]}${classes[j]}`);
+      }
+    }
+    return candidates;
+  }
+
+  anchorSelector(element) {
+    if (this.isStableId(element.id)) return `#${CSS.escape(element.id)}`;
+
+    for (const name of this.TEST_ATTRIBUTES) {
+      const value = element.getAttribute(name);
+      if (value) return this.attributeSelector(name, value);
+    }
+
+    const [cls] = this.stableClasses(element);
+    return cls ? `${element.tagName.toLowerCase()}.${CSS.escape(cls)}` : null;
+  }
+
+  // nth-of-type path from the nearest ancestor with a unique id or test id
+  pathSelector(element) {
+    const parts = [];
+    let node = element;
+
+    while (node && node !== document.body && node !== document.documentElement) {
+      if (node !== element) {
+        const anchor = this.idSelector(node) || this.testIdSelector(node);
+        if (anchor) {
+          parts.unshift(anchor);
+          return parts.join(' > ');
+        }
+      }
+
+      const tag = node.tagName.toLowerCase();
+      const siblings = node.parentElement
+        ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName)
+        : [node];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+      node = node.parentElement;
+    }
+
+    parts.unshift('body');
+    return parts.join(' > ');
+  }
+
+  getXPath(element) {
+    const parts = [];
+
+    for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+      let index = 1;
+      for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+        if (sibling.tagName === node.tagName) index++;
+      }
+
+      const tag = node.tagName.toLowerCase();
+      // SVG and MathML elements need a namespace-agnostic name test
+      const step = node.namespaceURI === 'http://www.w3.org/1999/xhtml'
+        ? tag
+        : `*[local-name()="${node.localName}"]`;
+      parts.unshift(`${step}[${index}]`);
+    }
+
+    return `/${parts.join('/')}`;
+  }
+
+  normalizeText(element) {
+    return (element.textContent || '').replace(/\s+/g, ' ').trim().substring(0, 80);
+  }
+
+  getFingerprint(element) {
+    const attributes = {};
+    [...this.TEST_ATTRIBUTES, ...this.LABEL_ATTRIBUTES, 'role', 'type', 'href'].forEach((name) => {
+      const value = element.getAttribute(name);
+      if (value) attributes[name] = value;
+    });
+
+    const parent = element.parentElement;
+    const siblings = parent
+      ? Array.from(parent.children).filter(child => child.tagName === element.tagName)
+      : [element];
+
+    return {
+      tag: element.tagName.toLowerCase(),
+      text: this.normalizeText(element),
+      classes: this.stableClasses(element),
+      attributes,
+      parent: parent ? {
+        tag: parent.tagName.toLowerCase(),
+        id: parent.id || null,
+        classes: this.stableClasses(parent)
+      } : null,
+      index: siblings.indexOf(element)
+    };
+  }
+
+  // Returns { element, method } where method is 'css', 'xpath', 'text' or 'structure'.
+  // Accepts a descriptor or a plain CSS selector string.
+  resolve(selector) {
+    if (!selector) return null;
+    const descriptor = typeof selector === 'string' ? { css: selector } : selector;
+
+    const byCss = this.queryCss(descriptor.css, descriptor.fingerprint);
+    if (byCss && this.plausibleMatch(byCss, descriptor.fingerprint)) return { element: byCss, method: 'css' };
+
+    const byXPath = this.queryXPath(descriptor.xpath);
+    if (byXPath && this.plausibleMatch(byXPath, descriptor.fingerprint)) {
+      log('WARN', 'Selector re-found element by XPath', { css: descriptor.css, xpath: descriptor.xpath });
+      return { element: byXPath, method: 'xpath' };
+    }
+
+    const fallback = descriptor.fingerprint ? this.findByFingerprint(descriptor.fingerprint) : null;
+    if (fallback) {
+      log('WARN', 'Selector re-found element by fingerprint', { css: descriptor.css, method: fallback.method });
+      return fallback;
+    }
+
+    // The page may have changed the element's text itself; trust a same-tag css match last
+    if (byCss && byCss.tagName.toLowerCase() === descriptor.fingerprint?.tag) {
+      return { element: byCss, method: 'css' };
+    }
+
+    log('WARN', 'Selector no longer matches any element', { css: descriptor.css });
+    return null;
+  }
+
+  queryCss(css, fingerprint) {
+    if (!css) return null;
+    let matches;
+    try {
+      matches = document.querySelectorAll(css);
+    } catch (error) {
+      log('WARN', 'Invalid stored selector', { css, error: error.message });
+      return null;
+    }
+
+    if (matches.length === 1) return matches[0];
+    if (matches.length > 1 && fingerprint) {
+      return this.bestMatch(Array.from(matches), fingerprint)?.element || null;
+    }
+    return null;
+  }
+
+  queryXPath(xpath) {
+    if (!xpath) return null;
+    try {
+      return document.evaluate(xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+    } catch {
+      return null;
+    }
+  }
+
+  // A match is only trusted outright when tag (and text, if recorded) still agree
+  plausibleMatch(element, fingerprint) {
+    if (!fingerprint) return true;
+    if (element.tagName.toLowerCase() !== fingerprint.tag) return false;
+    return !fingerprint.text || this.normalizeText(element) === fingerprint.text;
+  }
+
+  findByFingerprint(fingerprint) {
+    const candidates = Array.from(document.getElementsByTagName(fingerprint.tag));
+    const best = this.bestMatch(candidates, fingerprint);
+    if (!best) return null;
+
+    const textMatched = !!fingerprint.text && this.normalizeText(best.element) === fingerprint.text;
+    return { element: best.element, method: textMatched ? 'text' : 'structure' };
+  }
+
+  // Highest-scoring candidate, as long as it clears the minimum score and is not tied
+  bestMatch(candidates, fingerprint) {
+    const scored = candidates
+      .map(element => ({ element, score: this.scoreCandidate(element, fingerprint) }))
+      .sort((a, b) => b.score - a.score);
+
+    const [best, runnerUp] = scored;
+    if (!best || best.score < this.MIN_FALLBACK_SCORE) return null;
+    if (runnerUp && runnerUp.score === best.score) return null;
+    return best;
+  }
+
+  scoreCandidate(element, fingerprint) {
+    let score = 0;
+
+    if (fingerprint.text) {
+      const text = this.normalizeText(element);
+      if (text === fingerprint.text) {
+        score += 4;
+      } else if (text.startsWith(fingerprint.text.substring(0, 20))) {
+        score += 2;
+      }
+    }
+
+    Object.entries(fingerprint.attributes || {}).forEach(([name, value]) => {
+      if (element.getAttribute(name) === value) score += 2;
+    });
+
+    score += this.overlap(this.stableClasses(element), fingerprint.classes) * 2;
+
+    const parent = element.parentElement;
+    if (parent && fingerprint.parent) {
+      if (parent.tagName.toLowerCase() === fingerprint.parent.tag) score += 0.5;
+      if (fingerprint.parent.id && parent.id === fingerprint.parent.id) score += 2;
+      score += this.overlap(this.stableClasses(parent), fingerprint.parent.classes);
+
+      const siblings = Array.from(parent.children).filter(child => child.tagName === element.tagName);
+      if (siblings.indexOf(element) === fingerprint.index) score += 0.5;
+    }
+
+    return score;
+  }
+
+  overlap(a = [], b = []) {
+    if (a.length === 0 || b.length === 0) return 0;
+    const shared = a.filter(item => b.includes(item)).length;
+    return shared / Math.max(a.length, b.length);
+  }
+}
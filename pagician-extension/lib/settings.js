@@ -0,0 +1,114 @@
+// Groups of actions used by per-category settings such as confirm mode
+const ACTION_CATEGORIES = {
+  color: ['changeColor', 'changeBackgroundColor'],
+  size: ['changeSize', 'changeWidth', 'changeHeight'],
+  effects: ['changeOpacity', 'rotate', 'addShadow', 'changeBorder'],
+  visibility: ['hide', 'show'],
+  text: ['changeText', 'addText'],
+  style: ['setStyle'],
+  layout: ['adjustSpacing', 'nudge', 'align', 'arrange', 'reorder']
+};
+
+// Defaults for user settings stored in chrome.storage.sync.
+// Shared by the content script, options page and background worker.
+const DEFAULT_SETTINGS = {
+  confidenceThreshold: 0.5,
+  // Per-action thresholds; null falls back to confidenceThreshold
+  confidenceOverrides: { changeText: 0.8, addText: 0.8, changeColor: 0.8, changeBackgroundColor: 0.8 },
+  // Preview changes and wait for "yes"/Enter before keeping them
+  confirmMode: {
+    enabled: false,
+    categories: { color: false, size: false, effects: false, visibility: true, text: true, style: false, layout: false },
+    belowConfidence: 0.8, // also confirm any command less confident than this
+    timeoutMs: 8000
+  },
+  // 'vad' listens continuously; 'hold' records while pushToTalkKey is held down,
+  // 'toggle' from one press of it to the next. Push-to-talk needs a recorded speech provider.
+  captureMode: 'vad',
+  pushToTalkKey: 'AltRight', // KeyboardEvent.code
+  // label identifies the device in content scripts, where device IDs differ per site;
+  // an empty label means the system default
+  microphone: { deviceId: '', label: '', echoCancellation: true, noiseSuppression: true, autoGainControl: true },
+  // Extra transcript filter rules: { pattern, mode: 'exact' | 'contains' | 'regex', weight: 'reject' | 'suspect' }.
+  // 'suspect' rules only reject transcripts whose audio also sounded weak (short, choppy or faint).
+  hallucinationRules: [],
+  // Only transcripts starting with the phrase are commands, plus any said within
+  // followUpMs of the last applied command
+  wakePhrase: { enabled: false, phrase: 'Pagician', followUpMs: 8000 },
+  // Voice activity detection for recorded audio; Web Speech detects speech itself
+  vad: {
+    calibrationMs: 1000, // background noise is measured when voice control starts
+    trailingSilenceMs: 1500, // silence that ends an utterance
+    maxChunkMs: 15000 // longer speech is sent in pieces
+  },
+  // Names and terms to help transcription spell correctly, on top of those read from the page
+  customVocabulary: [],
+  // Spoken language as a BCP 47 tag such as 'de-DE'; empty lets the speech provider detect it
+  language: '',
+  speechProvider: 'openai', // 'openai' | 'compatible' | 'webspeech'
+  speechProviders: {
+    openai: { model: 'gpt-4o-mini-transcribe' },
+    compatible: { baseUrl: 'http://localhost:8080/v1', apiKey: '', model: 'whisper-1' },
+    webspeech: {}
+  },
+  llmProvider: 'anthropic', // 'anthropic' | 'openai' | 'compatible'
+  llmProviders: {
+    anthropic: { model: 'claude-haiku-4-5-20251001', temperature: 0, timeoutMs: 15000 },
+    openai: { model: 'gpt-4o-mini', temperature: 0, timeoutMs: 15000 },
+    // responseFormat: 'json_schema' for servers with structured outputs, 'json_object' otherwise
+    compatible: { baseUrl: 'http://localhost:11434/v1', apiKey: '', model: 'llama3.1', temperature: 0, timeoutMs: 30000, responseFormat: 'json_schema' }
+  }
+};
+
+// Offered in the options page, each with quick phrases in spoken-phrases.js; any BCP 47
+// tag works in settings.language
+const SPEECH_LANGUAGES = [
+  'en-US', 'en-GB', 'es-ES', 'es-MX', 'fr-FR', 'de-DE', 'it-IT', 'pt-BR', 'pt-PT', 'nl-NL',
+  'pl-PL', 'sv-SE', 'tr-TR', 'ru-RU', 'uk-UA', 'ar-SA', 'he-IL', 'hi-IN', 'ja-JP', 'ko-KR', 'zh-CN', 'zh-TW'
+];
+
+// "de-DE" → "German (Germany)"
+function describeLanguage(code) {
+  if (!code) return '';
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+  } catch {
+    return code;
+  }
+}
+
+// getUserMedia audio constraints for the microphone settings
+function microphoneConstraints(microphone = {}, deviceId = null) {
+  return {
+    ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+    channelCount: 1,
+    sampleRate: 16000,
+    echoCancellation: microphone.echoCancellation ?? true,
+    noiseSuppression: microphone.noiseSuppression ?? true,
+    autoGainControl: microphone.autoGainControl ?? true
+  };
+}
+
+// "AltRight" → "Right Alt", "KeyT" → "T"
+function describeKeyCode(code) {
+  if (!code) return '';
+  const side = code.match(/^(.+?)(Left|Right)$/);
+  if (side) return `${side[2]} ${side[1] === 'Meta' ? 'Cmd/Win' : side[1]}`;
+  return code.replace(/^(Key|Digit)/, '');
+}
+
+async function loadSettings() {
+  const stored = await chrome.storage.sync.get(Object.keys(DEFAULT_SETTINGS));
+  return mergeSettings(DEFAULT_SETTINGS, stored);
+}
+
+// Deep-merge stored values over defaults so new nested keys get their default
+function mergeSettings(defaults, stored) {
+  const merged = { ...defaults };
+  Object.entries(stored || {}).forEach(([key, value]) => {
+    const fallback = defaults[key];
+    const isObject = (item) => item && typeof item === 'object' && !Array.isArray(item);
+    merged[key] = isObject(fallback) && isObject(value) ? mergeSettings(fallback, value) : value;
+  });
+  return merged;
+}
@@ -1,20 +1,75 @@
 class SpeechProcessor {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.baseUrl = 'https://api.openai.com/v1';
+  constructor(provider, hallucinationFilter = new HallucinationFilter(), language = '') {
+    this.provider = provider;
+    this.hallucinationFilter = hallucinationFilter;
+    this.language = language;
     this.usageCallback = null; // Callback to track usage
-    log('INFO', 'SpeechProcessor initialized', { hasApiKey: !!apiKey });
+    this.TRANSCRIPTION_PROMPT = 'Voice commands for controlling elements on a web page. The user speaks short natural language instructions. Transcribe only actual speech. If there is silence or background noise, return nothing.';
+    log('INFO', 'SpeechProcessor initialized', {
+      provider: provider.name,
+      configured: provider.isConfigured(),
+      language: language || 'auto'
+    });
+  }
+
+  // Whisper tends to answer in the prompt's language, so the English prompt is
+  // left out when another language is spoken
+  get transcriptionPrompt() {
+    return !this.language || /^en\b/i.test(this.language) ? this.TRANSCRIPTION_PROMPT : '';
+  }
+
+  // The base prompt followed by as many vocabulary terms as fit the provider's
+  // prompt limit, in priority order
+  buildPrompt(vocabulary = []) {
+    const limit = this.provider.MAX_PROMPT_CHARS || 0;
+    let prompt = this.transcriptionPrompt.length <= limit ? this.transcriptionPrompt : '';
+
+    const terms = [];
+    vocabulary.forEach((term) => {
+      const candidate = [prompt, [...terms, term].join(', ') + '.'].filter(Boolean).join(' ');
+      if (candidate.length <= limit) terms.push(term);
+    });
+
+    if (terms.length > 0) prompt = [prompt, terms.join(', ') + '.'].filter(Boolean).join(' ');
+    return prompt;
+  }
+
+  get isLive() {
+    return this.provider.isLive;
   }
 
   setUsageCallback(callback) {
     this.usageCallback = callback;
   }
 
-  async transcribeAudio(audioBlob) {
-    log('INFO', 'Starting audio transcription', { audioSize: audioBlob.size });
+  // Live providers deliver transcripts on their own; they still go through the filter
+  startLive(onTranscript, onError, onUtteranceStart) {
+    this.provider.start((transcript, utterance) => {
+      log('INFO', 'Live transcription received', {
+        provider: this.provider.name,
+        transcript,
+        utteranceId: utterance?.id
+      });
+      const filtered = this.filterHallucinations(transcript);
+      if (filtered) onTranscript(filtered, utterance);
+    }, onError, onUtteranceStart);
+  }
+
+  stopLive() {
+    this.provider.stop();
+  }
 
-    if (!this.apiKey) {
-      log('ERROR', 'OpenAI API key not configured');
+  // signal aborts the request when the utterance is cancelled or dropped;
+  // evidence (see measureSpeech in audio-capture.js) feeds the hallucination filter;
+  // vocabulary comes from VocabularyBuilder for the utterance's target element
+  async transcribeAudio(audioBlob, { signal, evidence = null, vocabulary = [] } = {}) {
+    log('INFO', 'Starting audio transcription', {
+      provider: this.provider.name,
+      audioSize: audioBlob.size
+    });
+
+    if (!this.provider.isConfigured()) {
+      log('ERROR', 'Speech provider not configured', { provider: this.provider.name });
       return null;
     }
 
@@ -24,39 +79,12 @@ class SpeechProcessor {
       return null;
     }
 
-    const formData = new FormData();
-    formData.append('file', audioBlob, 'audio.webm');
-    formData.append('model', 'gpt-4o-mini-transcribe');
-    formData.append('response_format', 'text');
-    formData.append('prompt', 'Voice commands for controlling elements on a web page. The user speaks short natural language instructions. Transcribe only actual speech. If there is silence or background noise, return nothing.');
-
-    log('DEBUG', 'Sending transcription request to OpenAI');
-
     try {
       const startTime = Date.now();
-      const response = await fetch(`${this.baseUrl}/audio/transcriptions`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: formData
-      });
+      const prompt = this.buildPrompt(vocabulary);
+      const transcript = await this.provider.transcribe(audioBlob, { prompt, signal });
 
       const duration = Date.now() - startTime;
-      log('DEBUG', 'Transcription response received', {
-        status: response.status,
-        duration: `${duration}ms`
-      });
-
-      if (!response.ok) {
-        log('ERROR', 'Transcription API request failed', {
-          status: response.status,
-          statusText: response.statusText
-        });
-        throw new Error(`API request failed: ${response.status}`);
-      }
-
-      const transcript = await response.text();
       log('INFO', 'Transcription completed', {
         transcript: transcript.substring(0, 100),
         length: transcript.length,
@@ -68,10 +96,15 @@ class SpeechProcessor {
         this.usageCallback();
       }
 
-      const filteredTranscript = this.filterHallucinations(transcript.trim());
+      const filteredTranscript = this.filterHallucinations(transcript.trim(), evidence, prompt);
       return filteredTranscript;
     } catch (error) {
+      if (error.name === 'AbortError') {
+        log('DEBUG', 'Transcription aborted', { provider: this.provider.name });
+        return null;
+      }
       log('ERROR', 'Transcription failed', {
+        provider: this.provider.name,
         error: error.message,
         stack: error.stack
       });
@@ -79,93 +112,19 @@ class SpeechProcessor {
     }
   }
 
-  filterHallucinations(transcript) {
-    if (!transcript || transcript.length < 2) {
-      log('DEBUG', 'Rejecting empty or very short transcript');
-      return null;
-    }
-
-    // Common hallucination patterns to filter out
-    const hallucinationPatterns = [
-      /(?:www\.)?[a-zA-Z0-9-]+\.[a-zA-Z]{2,}/i, // URLs/domains
-      /thanks?\s+for\s+watching/i,
-      /subscribe\s+and\s+like/i,
-      /hit\s+the\s+bell/i,
-      /notification\s+squad/i,
-      /see\s+you\s+in\s+the\s+next/i,
-      /hamske?y\.com/i,
-      /^\s*[.!?]+\s*$/,  // Just punctuation
-      /^\s*[a-zA-Z]\s*$/,  // Single letter
-      /^\s*\w{1,2}\s*$/,   // Very short random words
-      /music\s*$/i,        // Background music detection
-      /\[music\]/i,
-      /\(music\)/i,
-      // Common default responses that might come from silence
-      /^make it red$/i,
-      /^make it blue$/i,
-      /^make it green$/i,
-      /^make it bigger$/i,
-      /^make it smaller$/i,
-      /^change color$/i,
-      /^hide it$/i,
-      /^show it$/i,
-      /^\s*(red|blue|green|yellow|black|white)\s*$/i, // Single color words
-      /^\s*(bigger|smaller|hide|show)\s*$/i, // Single action words
-      /^\s*color\s*$/i,
-      /^\s*size\s*$/i,
-      // Common placeholder text patterns
-      /hello\s+world/i,
-      /sample\s+text/i,
-      /placeholder/i,
-      /test\s+text/i,
-      /lorem\s+ipsum/i,
-      /example\s+text/i,
-      /default\s+text/i,
-      /click\s+here/i,
-      /type\s+here/i,
-      /enter\s+text/i,
-      /^(hello|hi|test|sample|example|placeholder)$/i,
-      /make it blue.*bigger.*hide it.*rotate.*add shadow/i // Whisper prompt echo
-    ];
-
-    for (const pattern of hallucinationPatterns) {
-      if (pattern.test(transcript)) {
-        log('DEBUG', 'Rejecting transcript due to hallucination pattern', {
-          transcript,
-          pattern: pattern.source
-        });
-        return null;
-      }
-    }
-
-    // Reject if transcript is mostly non-alphabetic characters
-    const alphaCount = (transcript.match(/[a-zA-Z]/g) || []).length;
-    const totalCount = transcript.length;
-    if (totalCount > 0 && alphaCount / totalCount < 0.5) {
-      log('DEBUG', 'Rejecting transcript with too few alphabetic characters', {
+  // evidence is the utterance's speech evidence from AudioCapture, when there is any
+  filterHallucinations(transcript, evidence = null, prompt = '') {
+    const verdict = this.hallucinationFilter.check(transcript, evidence, prompt);
+    if (!verdict.accepted) {
+      log('DEBUG', 'Rejecting transcript as likely hallucination', {
         transcript,
-        alphaRatio: alphaCount / totalCount
+        score: verdict.score,
+        reasons: verdict.reasons
       });
       return null;
     }
 
-    // Reject overly simple commands that are likely defaults (less than 4 characters)
-    if (transcript.trim().length < 4) {
-      log('DEBUG', 'Rejecting transcript too short to be meaningful command', {
-        transcript,
-        length: transcript.trim().length
-      });
-      return null;
-    }
-
-    // Reject if transcript contains only common filler words
-    const fillerWords = /^\s*(um|uh|ah|er|hmm|well|so|like|you\s+know)\s*$/i;
-    if (fillerWords.test(transcript)) {
-      log('DEBUG', 'Rejecting transcript containing only filler words', { transcript });
-      return null;
-    }
-
-    log('DEBUG', 'Transcript passed hallucination filter', { transcript });
+    log('DEBUG', 'Transcript passed hallucination filter', { transcript, score: verdict.score, reasons: verdict.reasons });
     return transcript;
   }
 }
@@ -0,0 +1,170 @@
+// Speech-to-text backends used by SpeechProcessor.
+// Blob providers implement transcribe(audioBlob, options) and return text.
+// Live providers (isLive = true) capture audio themselves via start(onTranscript) / stop().
+
+class OpenAITranscriptionProvider {
+  constructor({ apiKey, model, baseUrl = 'https://api.openai.com/v1', language = '' }) {
+    this.name = 'OpenAI';
+    this.isLive = false;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    // The API takes ISO 639-1 codes, so "de-DE" is sent as "de"
+    this.language = language.split('-')[0].toLowerCase();
+    this.MAX_PROMPT_CHARS = 600; // Whisper reads at most 224 tokens of prompt
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async transcribe(audioBlob, { prompt, signal } = {}) {
+    const formData = new FormData();
+    // The extension tells the server the format: WAV from PCM capture, WebM from MediaRecorder
+    formData.append('file', audioBlob, audioBlob.type === 'audio/wav' ? 'audio.wav' : 'audio.webm');
+    formData.append('model', this.model);
+    formData.append('response_format', 'text');
+    if (prompt) formData.append('prompt', prompt);
+    if (this.language) formData.append('language', this.language);
+
+    const headers = {};
+    if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+
+    log('DEBUG', `Sending transcription request to ${this.name}`, {
+      url: this.baseUrl,
+      model: this.model,
+      language: this.language || 'auto'
+    });
+
+    const response = await fetch(`${this.baseUrl}/audio/transcriptions`, {
+      method: 'POST',
+      headers,
+      body: formData,
+      signal
+    });
+
+    if (!response.ok) {
+      log('ERROR', 'Transcription API request failed', {
+        provider: this.name,
+        status: response.status,
+        statusText: response.statusText
+      });
+      throw new Error(`API request failed: ${response.status}`);
+    }
+
+    // response_format=text is plain text on OpenAI; some compatible servers still answer with JSON
+    const body = await response.text();
+    try {
+      const parsed = JSON.parse(body);
+      if (parsed && typeof parsed.text === 'string') return parsed.text;
+    } catch {
+      // Plain text response
+    }
+    return body;
+  }
+}
+
+// Any server exposing POST {baseUrl}/audio/transcriptions, such as whisper.cpp
+// or faster-whisper. The API key is optional for local servers.
+class OpenAICompatibleTranscriptionProvider extends OpenAITranscriptionProvider {
+  constructor({ baseUrl, apiKey, model, language }) {
+    super({ apiKey, model, baseUrl: baseUrl || '', language });
+    this.name = 'OpenAI-compatible endpoint';
+  }
+
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+}
+
+// The browser's built-in speech recognition. It listens to the microphone on
+// its own, so it bypasses AudioCapture and delivers final transcripts directly.
+class WebSpeechProvider {
+  constructor({ lang } = {}) {
+    this.name = 'Web Speech API';
+    this.isLive = true;
+    this.lang = lang || navigator.language;
+    this.MAX_PROMPT_CHARS = 0; // Takes no prompt
+    this.recognition = null;
+    this.active = false;
+    this.utteranceCounter = 0;
+  }
+
+  static isSupported() {
+    return !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+  }
+
+  isConfigured() {
+    return WebSpeechProvider.isSupported();
+  }
+
+  // onUtteranceStart(utterance) fires when a phrase is first heard; the same
+  // utterance object is passed to onTranscript with its final text
+  start(onTranscript, onError, onUtteranceStart = null) {
+    const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    this.recognition = new Recognition();
+    this.recognition.continuous = true;
+    // Interim results tell us when each phrase starts, long before it's final
+    this.recognition.interimResults = true;
+    this.recognition.lang = this.lang;
+
+    const utterances = new Map(); // result index → utterance, per recognition session
+
+    this.recognition.onstart = () => utterances.clear();
+
+    this.recognition.onresult = (event) => {
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        if (!utterances.has(i)) {
+          const utterance = { id: ++this.utteranceCounter, startedAt: Date.now() };
+          utterances.set(i, utterance);
+          if (onUtteranceStart) onUtteranceStart(utterance);
+        }
+
+        if (event.results[i].isFinal) {
+          onTranscript(event.results[i][0].transcript.trim(), utterances.get(i));
+        }
+      }
+    };
+
+    this.recognition.onerror = (event) => {
+      log('WARN', 'Web Speech recognition error', { error: event.error });
+      if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
+        this.active = false;
+        if (onError) onError(new Error('Microphone access denied for speech recognition'));
+      }
+    };
+
+    // Chrome ends continuous sessions after a pause; restart while still active
+    this.recognition.onend = () => {
+      if (this.active) this.recognition.start();
+    };
+
+    this.active = true;
+    this.recognition.start();
+    log('INFO', 'Web Speech recognition started', { lang: this.lang });
+  }
+
+  stop() {
+    this.active = false;
+    if (this.recognition) {
+      this.recognition.stop();
+      this.recognition = null;
+    }
+    log('INFO', 'Web Speech recognition stopped');
+  }
+}
+
+function createSpeechProvider(settings, openaiApiKey) {
+  const config = settings.speechProviders[settings.speechProvider] || {};
+  const language = settings.language || '';
+
+  switch (settings.speechProvider) {
+    case 'compatible':
+      return new OpenAICompatibleTranscriptionProvider({ ...config, language });
+    case 'webspeech':
+      return new WebSpeechProvider({ ...config, lang: language || config.lang });
+    case 'openai':
+    default:
+      return new OpenAITranscriptionProvider({ ...config, apiKey: openaiApiKey, language });
+  }
+}
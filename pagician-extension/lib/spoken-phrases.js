@@ -0,0 +1,371 @@
+// Undo/redo, cancel and answer phrases for the languages offered in Settings, so
+// parseHistoryCommand, parseCancelCommand, parseConfirmation and
+// ClarificationChooser.parseChoice recognize them locally as they do the English
+// ones. Each phrase has to make up the whole transcript once filler words are
+// dropped. Languages written without spaces (Chinese, Japanese) only match whole
+// phrases, without counts.
+
+const SPOKEN_PHRASES = {
+  es: {
+    undo: ['deshacer', 'deshaz', 'deshazlo', 'anular', 'anula', 'vuelve atrás', 'volver atrás'],
+    redo: ['rehacer', 'rehaz', 'rehazlo'],
+    all: ['todo', 'todos', 'todas'],
+    counts: { uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10 },
+    cancel: ['cancelar', 'cancela', 'cancélalo', 'olvídalo', 'olvídate', 'déjalo', 'no importa', 'da igual'],
+    yes: ['sí', 'claro', 'vale', 'de acuerdo', 'aplicar', 'aplica', 'aplícalo', 'confirmar', 'confirma', 'hazlo', 'mantenlo', 'perfecto'],
+    no: ['no', 'descartar', 'descarta', 'descártalo', 'revertir', 'revierte'],
+    choices: [
+      ['primero', 'primera', 'uno', 'una'],
+      ['segundo', 'segunda', 'dos'],
+      ['tercero', 'tercera', 'tres']
+    ],
+    none: ['ninguno', 'ninguna', 'ninguna de ellas', 'ninguno de ellos', 'nada'],
+    filler: ['eso', 'esto', 'lo', 'el', 'la', 'los', 'las', 'último', 'última', 'últimos', 'últimas', 'cambio', 'cambios',
+      'paso', 'pasos', 'vez', 'veces', 'otra', 'por', 'favor', 'ahora', 'opción', 'número']
+  },
+  fr: {
+    undo: ['défaire', 'défais', 'revenir en arrière', 'reviens en arrière', 'retour en arrière'],
+    redo: ['refaire', 'refais', 'rétablir', 'rétablis'],
+    all: ['tout', 'tous', 'toutes'],
+    counts: { un: 1, une: 1, deux: 2, trois: 3, quatre: 4, cinq: 5, six: 6, sept: 7, huit: 8, neuf: 9, dix: 10 },
+    cancel: ['annuler', 'annule', 'annule tout', 'laisse tomber', 'oublie', 'peu importe', 'arrête'],
+    yes: ['oui', 'ouais', "d'accord", 'vas-y', 'applique', 'appliquer', 'confirme', 'confirmer', 'garde', 'parfait', "c'est bon"],
+    no: ['non', 'non merci', 'rejette', 'jette'],
+    choices: [
+      ['premier', 'première', 'un', 'une'],
+      ['deuxième', 'second', 'seconde', 'deux'],
+      ['troisième', 'trois']
+    ],
+    none: ['aucun', 'aucune', "aucune d'elles", "aucun d'eux", 'rien', "ni l'un ni l'autre"],
+    filler: ['ça', 'cela', 'ce', 'le', 'la', 'les', 'dernier', 'dernière', 'derniers', 'dernières', 'modification', 'modifications',
+      'changement', 'changements', 'étape', 'étapes', 'fois', "s'il", 'vous', 'plaît', 'svp', 'maintenant', 'encore', 'option', 'numéro']
+  },
+  de: {
+    undo: ['rückgängig', 'rückgängig machen', 'mach rückgängig', 'zurück', 'zurücknehmen', 'nimm zurück'],
+    redo: ['wiederholen', 'wiederherstellen', 'stell wieder her', 'erneut anwenden'],
+    all: ['alles', 'alle'],
+    counts: { einmal: 1, eins: 1, zweimal: 2, zwei: 2, dreimal: 3, drei: 3, vier: 4, fünf: 5, sechs: 6, sieben: 7, acht: 8, neun: 9, zehn: 10 },
+    cancel: ['abbrechen', 'brich ab', 'vergiss es', 'egal', 'stopp', 'lass es'],
+    yes: ['ja', 'jawohl', 'genau', 'klar', 'anwenden', 'übernehmen', 'bestätigen', 'behalten', 'passt', 'sieht gut aus'],
+    no: ['nein', 'nö', 'verwerfen', 'lieber nicht'],
+    choices: [
+      ['erste', 'ersten', 'erster', 'erstes', 'eins'],
+      ['zweite', 'zweiten', 'zweiter', 'zweites', 'zwei'],
+      ['dritte', 'dritten', 'dritter', 'drittes', 'drei']
+    ],
+    none: ['keine', 'keiner', 'keins', 'nichts', 'keine davon', 'keiner davon'],
+    filler: ['das', 'es', 'dies', 'den', 'die', 'der', 'letzte', 'letzten', 'änderung', 'änderungen', 'schritt', 'schritte',
+      'mal', 'nochmal', 'bitte', 'jetzt', 'option', 'nummer']
+  },
+  it: {
+    undo: ['disfa', 'disfai', 'torna indietro', 'indietro'],
+    redo: ['ripeti', 'rifai', 'ripristina'],
+    all: ['tutto', 'tutti', 'tutte'],
+    counts: { uno: 1, una: 1, due: 2, tre: 3, quattro: 4, cinque: 5, sei: 6, sette: 7, otto: 8, nove: 9, dieci: 10 },
+    cancel: ['annulla', 'lascia perdere', 'lascia stare', 'dimentica', 'non importa', 'basta'],
+    yes: ['sì', 'certo', 'va bene', 'applica', 'conferma', 'confermo', 'fallo', 'tienilo', 'perfetto'],
+    no: ['no', 'scarta', 'rifiuta'],
+    choices: [
+      ['primo', 'prima', 'uno', 'una'],
+      ['secondo', 'seconda', 'due'],
+      ['terzo', 'terza', 'tre']
+    ],
+    none: ['nessuno', 'nessuna', 'niente', 'nessuna delle due', 'nessuno di questi'],
+    filler: ['quello', 'quella', 'questo', 'questa', 'lo', 'la', 'il', "l'", 'ultimo', 'ultima', 'ultimi', 'ultime', 'modifica', 'modifiche',
+      'passo', 'passi', 'volta', 'volte', 'per', 'favore', 'adesso', 'ora', 'opzione', 'numero']
+  },
+  pt: {
+    undo: ['desfazer', 'desfaz', 'desfaça', 'voltar atrás', 'volta atrás'],
+    redo: ['refazer', 'refaz', 'refaça'],
+    all: ['tudo', 'todos', 'todas'],
+    counts: { um: 1, uma: 1, dois: 2, duas: 2, três: 3, quatro: 4, cinco: 5, seis: 6, sete: 7, oito: 8, nove: 9, dez: 10 },
+    cancel: ['cancelar', 'cancela', 'cancele', 'esquece', 'esqueça', 'deixa pra lá', 'deixa para lá'],
+    yes: ['sim', 'claro', 'pode', 'aplicar', 'aplica', 'confirmar', 'confirma', 'mantém', 'mantenha', 'perfeito', 'tá bom', 'está bom'],
+    no: ['não', 'descartar', 'descarta', 'reverter'],
+    choices: [
+      ['primeiro', 'primeira', 'um', 'uma'],
+      ['segundo', 'segunda', 'dois', 'duas'],
+      ['terceiro', 'terceira', 'três']
+    ],
+    none: ['nenhum', 'nenhuma', 'nada', 'nenhuma delas', 'nenhum deles'],
+    filler: ['isso', 'isto', 'o', 'a', 'os', 'as', 'último', 'última', 'últimos', 'últimas', 'mudança', 'mudanças', 'alteração',
+      'alterações', 'passo', 'passos', 'vez', 'vezes', 'por', 'favor', 'agora', 'opção', 'número']
+  },
+  nl: {
+    undo: ['ongedaan maken', 'maak ongedaan', 'terug', 'draai terug'],
+    redo: ['opnieuw', 'opnieuw doen', 'doe opnieuw', 'herhaal'],
+    all: ['alles', 'alle'],
+    counts: { een: 1, twee: 2, drie: 3, vier: 4, vijf: 5, zes: 6, zeven: 7, acht: 8, negen: 9, tien: 10 },
+    cancel: ['annuleren', 'annuleer', 'laat maar', 'vergeet het', 'afbreken', 'breek af'],
+    yes: ['ja', 'jazeker', 'oké', 'prima', 'goed', 'toepassen', 'pas toe', 'bevestig', 'bevestigen', 'doe maar', 'houden', 'ziet er goed uit'],
+    no: ['nee', 'neen', 'weggooien', 'verwerpen', 'liever niet'],
+    choices: [
+      ['eerste', 'een'],
+      ['tweede', 'twee'],
+      ['derde', 'drie']
+    ],
+    none: ['geen', 'geen van beide', 'geen enkele', 'niets'],
+    filler: ['dat', 'het', 'dit', 'de', 'laatste', 'wijziging', 'wijzigingen', 'stap', 'stappen', 'keer', 'maal',
+      'alsjeblieft', 'alstublieft', 'graag', 'nu', 'optie', 'nummer']
+  },
+  pl: {
+    undo: ['cofnij', 'cofnąć', 'wycofaj'],
+    redo: ['ponów', 'przywróć', 'powtórz'],
+    all: ['wszystko', 'wszystkie'],
+    counts: { raz: 1, jeden: 1, dwa: 2, trzy: 3, cztery: 4, pięć: 5, sześć: 6, siedem: 7, osiem: 8, dziewięć: 9, dziesięć: 10 },
+    cancel: ['anuluj', 'anulować', 'nieważne', 'zapomnij', 'przestań', 'daj spokój'],
+    yes: ['tak', 'jasne', 'dobrze', 'okej', 'zastosuj', 'potwierdź', 'potwierdzam', 'zostaw', 'zrób to', 'świetnie'],
+    no: ['nie', 'odrzuć'],
+    choices: [
+      ['pierwszy', 'pierwsza', 'pierwsze', 'pierwszą', 'jeden', 'jedynka'],
+      ['drugi', 'druga', 'drugie', 'drugą', 'dwa', 'dwójka'],
+      ['trzeci', 'trzecia', 'trzecie', 'trzecią', 'trzy', 'trójka']
+    ],
+    none: ['żaden', 'żadna', 'żadne', 'nic', 'żadna z nich', 'żaden z nich'],
+    filler: ['ten', 'tę', 'te', 'ostatni', 'ostatnią', 'ostatnie', 'ostatnia', 'zmianę', 'zmiany', 'zmiana', 'krok', 'kroki',
+      'razy', 'proszę', 'teraz', 'jeszcze', 'opcja', 'opcję', 'numer']
+  },
+  sv: {
+    undo: ['ångra', 'gör ogjort', 'backa'],
+    redo: ['gör om', 'upprepa'],
+    all: ['allt', 'alla'],
+    counts: { en: 1, ett: 1, två: 2, tre: 3, fyra: 4, fem: 5, sex: 6, sju: 7, åtta: 8, nio: 9, tio: 10 },
+    cancel: ['avbryt', 'strunta i det', 'glöm det', 'stopp', 'sluta'],
+    yes: ['ja', 'japp', 'visst', 'okej', 'absolut', 'tillämpa', 'verkställ', 'bekräfta', 'behåll', 'ser bra ut', 'kör'],
+    no: ['nej', 'nä', 'förkasta', 'släng'],
+    choices: [
+      ['första', 'en', 'ett'],
+      ['andra', 'två'],
+      ['tredje', 'tre']
+    ],
+    none: ['ingen', 'inget', 'inga', 'ingen av dem', 'ingetdera'],
+    filler: ['det', 'den', 'detta', 'senaste', 'ändringen', 'ändring', 'ändringar', 'steg', 'gång', 'gånger', 'tack', 'snälla',
+      'nu', 'igen', 'alternativ', 'nummer']
+  },
+  tr: {
+    undo: ['geri al', 'geri alın', 'geri'],
+    redo: ['yinele', 'yeniden yap', 'tekrar yap', 'ileri al'],
+    all: ['hepsi', 'hepsini', 'tümü', 'tümünü'],
+    counts: { bir: 1, iki: 2, üç: 3, dört: 4, beş: 5, altı: 6, yedi: 7, sekiz: 8, dokuz: 9, on: 10 },
+    cancel: ['iptal', 'iptal et', 'vazgeç', 'boş ver', 'unut gitsin'],
+    yes: ['evet', 'tamam', 'olur', 'peki', 'uygula', 'onayla', 'onaylıyorum', 'kalsın'],
+    no: ['hayır', 'istemiyorum'],
+    choices: [
+      ['birinci', 'ilk', 'ilki', 'bir'],
+      ['ikinci', 'iki'],
+      ['üçüncü', 'üç']
+    ],
+    none: ['hiçbiri', 'hiçbirisi', 'hiç biri'],
+    filler: ['bunu', 'şunu', 'onu', 'bu', 'son', 'değişikliği', 'değişiklik', 'adım', 'kez', 'kere', 'defa', 'lütfen', 'şimdi',
+      'seçenek', 'numara', 'numaralı']
+  },
+  ru: {
+    undo: ['отмени', 'отменить', 'верни', 'верни как было', 'откати', 'назад'],
+    redo: ['повтори', 'повторить', 'верни обратно'],
+    all: ['всё', 'все'],
+    counts: { раз: 1, один: 1, одно: 1, дважды: 2, два: 2, трижды: 3, три: 3, четыре: 4, пять: 5, шесть: 6, семь: 7, восемь: 8, девять: 9, десять: 10 },
+    cancel: ['отмена', 'забудь', 'неважно', 'не важно', 'стоп', 'хватит', 'не надо'],
+    yes: ['да', 'ага', 'конечно', 'хорошо', 'окей', 'давай', 'применить', 'примени', 'подтверждаю', 'оставь', 'отлично'],
+    no: ['нет', 'отклонить'],
+    choices: [
+      ['первый', 'первая', 'первое', 'первую', 'один', 'одна'],
+      ['второй', 'вторая', 'второе', 'вторую', 'два', 'две'],
+      ['третий', 'третья', 'третье', 'третью', 'три']
+    ],
+    none: ['никакой', 'никакая', 'никакие', 'ни один', 'ни одна', 'ничего'],
+    filler: ['это', 'то', 'последнее', 'последний', 'последнюю', 'изменение', 'изменения', 'шаг', 'шага', 'раза',
+      'пожалуйста', 'сейчас', 'ещё', 'вариант', 'номер']
+  },
+  uk: {
+    undo: ['скасуй', 'скасувати', 'відміни', 'поверни', 'назад'],
+    redo: ['повтори', 'повторити', 'поверни назад'],
+    all: ['все', 'усе', 'всі', 'усі'],
+    counts: { раз: 1, один: 1, одна: 1, двічі: 2, два: 2, тричі: 3, три: 3, чотири: 4 },
+    cancel: ['скасування', 'забудь', 'неважливо', 'стоп', 'досить', 'не треба'],
+    yes: ['так', 'ага', 'звісно', 'добре', 'гаразд', 'давай', 'застосуй', 'застосувати', 'підтверджую', 'залиш', 'чудово'],
+    no: ['ні', 'відхилити'],
+    choices: [
+      ['перший', 'перша', 'перше', 'першу', 'один', 'одна'],
+      ['другий', 'друга', 'друге', 'другу', 'два', 'дві'],
+      ['третій', 'третя', 'третє', 'третю', 'три']
+    ],
+    none: ['жоден', 'жодна', 'жодне', 'жодного', 'нічого'],
+    filler: ['це', 'те', 'останню', 'останній', 'остання', 'зміну', 'зміни', 'крок', 'рази', 'разів', 'будь', 'ласка',
+      'зараз', 'ще', 'варіант', 'номер']
+  },
+  ar: {
+    undo: ['تراجع', 'تراجع عن ذلك', 'ارجع', 'ارجعه'],
+    redo: ['إعادة', 'أعد', 'كرر'],
+    all: ['الكل', 'كل شيء', 'كلها'],
+    counts: { واحدة: 1, مرة: 1, مرتين: 2, اثنين: 2, ثلاث: 3, ثلاثة: 3, أربع: 4, خمس: 5 },
+    cancel: ['إلغاء', 'ألغ', 'انس الأمر', 'لا يهم', 'توقف'],
+    yes: ['نعم', 'أجل', 'أيوه', 'حسنا', 'موافق', 'طبق', 'تطبيق', 'أكد', 'تأكيد', 'تمام'],
+    no: ['لا', 'رفض', 'ارفض', 'تجاهل'],
+    choices: [
+      ['الأول', 'الأولى', 'واحد'],
+      ['الثاني', 'الثانية', 'اثنان'],
+      ['الثالث', 'الثالثة']
+    ],
+    none: ['لا شيء', 'ولا واحد', 'ولا واحدة', 'لا أحد'],
+    filler: ['ذلك', 'هذا', 'هذه', 'الأخير', 'الأخيرة', 'التغيير', 'التعديل', 'من', 'فضلك', 'لو', 'سمحت', 'الآن', 'مرات',
+      'الخيار', 'رقم']
+  },
+  he: {
+    undo: ['בטל', 'תבטל', 'חזור אחורה', 'תחזור אחורה', 'אחורה'],
+    redo: ['בצע שוב', 'עשה שוב', 'תעשה שוב', 'שחזר'],
+    all: ['הכל', 'כולם'],
+    counts: { פעם: 1, אחת: 1, פעמיים: 2, שתיים: 2, שלוש: 3, ארבע: 4, חמש: 5 },
+    cancel: ['ביטול', 'עזוב', 'לא משנה', 'תשכח מזה', 'עצור'],
+    yes: ['כן', 'בטח', 'אוקיי', 'בסדר', 'החל', 'תחיל', 'אשר', 'מאשר', 'תשאיר', 'מעולה', 'יופי'],
+    no: ['לא', 'דחה'],
+    choices: [
+      ['ראשון', 'ראשונה', 'הראשון', 'הראשונה', 'אחד', 'אחת'],
+      ['שני', 'שנייה', 'השני', 'השנייה', 'שתיים'],
+      ['שלישי', 'שלישית', 'השלישי', 'השלישית', 'שלוש']
+    ],
+    none: ['אף אחד', 'אף אחת', 'כלום', 'שום דבר', 'אף אחד מהם'],
+    filler: ['את', 'זה', 'זאת', 'האחרון', 'האחרונה', 'השינוי', 'שינוי', 'בבקשה', 'עכשיו', 'פעמים', 'אפשרות', 'מספר']
+  },
+  hi: {
+    undo: ['पूर्ववत करो', 'पूर्ववत करें', 'वापस लो', 'वापस करो', 'पहले जैसा करो', 'अनडू'],
+    redo: ['फिर से करो', 'दोबारा करो', 'रीडू'],
+    all: ['सब', 'सब कुछ', 'सभी'],
+    counts: { एक: 1, दो: 2, तीन: 3, चार: 4, पांच: 5 },
+    cancel: ['रद्द', 'रद्द करो', 'रद्द करें', 'छोड़ो', 'रहने दो', 'कोई बात नहीं', 'रुको'],
+    yes: ['हाँ', 'हां', 'जी', 'जी हाँ', 'ठीक है', 'ठीक', 'लागू करो', 'पुष्टि करो', 'रखो', 'बढ़िया'],
+    no: ['नहीं', 'नही', 'ना', 'हटाओ'],
+    choices: [
+      ['पहला', 'पहली', 'पहले', 'एक'],
+      ['दूसरा', 'दूसरी', 'दूसरे', 'दो'],
+      ['तीसरा', 'तीसरी', 'तीसरे', 'तीन']
+    ],
+    none: ['कोई नहीं', 'कुछ नहीं', 'एक भी नहीं'],
+    filler: ['इसे', 'यह', 'ये', 'वो', 'को', 'आखिरी', 'बदलाव', 'कृपया', 'अभी', 'बार', 'विकल्प', 'नंबर']
+  },
+  ja: {
+    undo: ['元に戻す', '元に戻して', 'もとに戻して', '戻して', '取り消し', '取り消して', 'アンドゥ'],
+    redo: ['やり直し', 'やり直して', 'やりなおし', 'リドゥ'],
+    cancel: ['キャンセル', 'キャンセルして', 'やめて', '中止', 'もういい', 'なんでもない'],
+    yes: ['はい', 'うん', 'ええ', 'オッケー', 'いいよ', 'お願いします', '適用', '適用して', '確定'],
+    no: ['いいえ', 'いや', 'ううん', 'だめ', 'ダメ'],
+    choices: [
+      ['1番目', '一番目', '1番', '一番', '最初', '1つ目', '一つ目'],
+      ['2番目', '二番目', '2番', '二番', '2つ目', '二つ目'],
+      ['3番目', '三番目', '3番', '三番', '3つ目', '三つ目']
+    ],
+    none: ['どれも', 'どれでもない', 'なし', 'いらない'],
+    filler: ['ください']
+  },
+  ko: {
+    undo: ['실행 취소', '되돌려', '되돌려 줘', '되돌려줘', '되돌리기', '원래대로'],
+    redo: ['다시 실행', '다시 해', '다시 해 줘', '재실행'],
+    all: ['전부', '모두', '다'],
+    counts: { 한: 1, 두: 2, 세: 3, 네: 4, 다섯: 5 },
+    cancel: ['취소', '취소해', '취소해 줘', '그만', '그만해', '됐어', '잊어버려'],
+    yes: ['네', '예', '응', '그래', '좋아', '좋아요', '적용', '적용해', '적용해 줘', '확인', '유지', '오케이'],
+    no: ['아니', '아니요', '아니오', '싫어', '버려'],
+    choices: [
+      ['첫 번째', '첫번째', '첫째', '하나', '1번'],
+      ['두 번째', '두번째', '둘째', '둘', '2번'],
+      ['세 번째', '세번째', '셋째', '셋', '3번']
+    ],
+    none: ['없어', '없음', '아무것도', '둘 다 아니야', '하나도 아니야'],
+    filler: ['그거', '이거', '그것', '이것', '마지막', '변경', '변경사항', '번', '좀', '제발', '지금', '옵션', '번호']
+  },
+  zh: {
+    undo: ['撤销', '撤銷', '撤回', '还原', '還原', '返回上一步'],
+    redo: ['重做', '恢复', '恢復'],
+    cancel: ['取消', '算了', '不用了', '停止', '别做了', '別做了'],
+    yes: ['是', '是的', '好', '好的', '可以', '行', '对', '對', '确认', '確認', '应用', '應用', '保留'],
+    no: ['不', '不是', '不要', '不用', '否', '放弃', '放棄'],
+    choices: [
+      ['第一个', '第一個', '第一', '一'],
+      ['第二个', '第二個', '第二', '二'],
+      ['第三个', '第三個', '第三', '三']
+    ],
+    none: ['都不是', '都不要', '一个都不要', '一個都不要', '没有', '沒有']
+  }
+};
+
+const compiledSpokenPhrases = new Map();
+
+// "¡Sí, por favor!" → "si por favor". Accents, niqqud, harakat and full-width forms
+// are folded, since speech models spell them inconsistently.
+function normalizeSpoken(text) {
+  return (text || '').normalize('NFKD')
+    .replace(/[\u0300-\u036f\u0591-\u05c7\u064b-\u065f]/g, '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// The phrase table for a BCP 47 tag such as 'es-MX', normalized and without filler
+// words; null for English, which the parsers handle themselves, and other languages
+function spokenPhrasesFor(language) {
+  const code = (language || '').split('-')[0].toLowerCase();
+  const table = SPOKEN_PHRASES[code];
+  if (!table) return null;
+
+  if (!compiledSpokenPhrases.has(code)) {
+    const filler = new Set((table.filler || []).flatMap(word => normalizeSpoken(word).split(' ')));
+    const core = text => normalizeSpoken(text).split(' ').filter(word => !filler.has(word)).join(' ');
+    const phrases = list => new Set((list || []).map(core));
+
+    compiledSpokenPhrases.set(code, {
+      core,
+      undo: phrases(table.undo),
+      redo: phrases(table.redo),
+      all: phrases(table.all),
+      counts: new Map(Object.entries(table.counts || {}).map(([word, count]) => [core(word), count])),
+      cancel: phrases(table.cancel),
+      yes: phrases(table.yes),
+      no: phrases(table.no),
+      choices: table.choices.map(phrases),
+      none: phrases(table.none)
+    });
+  }
+  return compiledSpokenPhrases.get(code);
+}
+
+// Whether the transcript is one of the language's phrases for key, e.g. 'cancel' or 'yes'
+function isSpokenPhrase(transcript, language, key) {
+  const phrases = spokenPhrasesFor(language);
+  const text = phrases?.core(transcript);
+  return !!text && phrases[key].has(text);
+}
+
+// Index into the language's choices for "la segunda", -1 for "ninguna", null otherwise
+function parseSpokenChoice(transcript, language) {
+  const phrases = spokenPhrasesFor(language);
+  const text = phrases?.core(transcript);
+  if (!text) return null;
+  if (phrases.none.has(text)) return -1;
+
+  const index = phrases.choices.findIndex(words => words.has(text));
+  return index === -1 ? null : index;
+}
+
+// { type, count } for "deshaz eso dos veces" or "zweimal rückgängig machen", or null.
+// The count may come before or after the phrase.
+function parseSpokenHistory(transcript, language) {
+  const phrases = spokenPhrasesFor(language);
+  const text = phrases?.core(transcript);
+  if (!text) return null;
+
+  for (const type of ['undo', 'redo']) {
+    for (const phrase of phrases[type]) {
+      if (text === phrase) return { type, count: 1 };
+
+      const rest = text.startsWith(`${phrase} `) ? text.slice(phrase.length + 1)
+        : text.endsWith(` ${phrase}`) ? text.slice(0, -phrase.length - 1) : null;
+      if (!rest) continue;
+
+      if (phrases.all.has(rest)) return { type, count: Infinity };
+      if (phrases.counts.has(rest)) return { type, count: phrases.counts.get(rest) };
+      if (/^\d+$/.test(rest) && parseInt(rest, 10) > 0) return { type, count: parseInt(rest, 10) };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,174 @@
+// Page-level undo/redo history for changes applied through DOMManipulator.
+// Snapshots are kept in memory so nothing is written to the host page's DOM.
+class UndoManager {
+  constructor() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.MAX_ENTRIES = 50;
+    // Bumped whenever applied changes are added, undone, redone or cleared, so callers
+    // can tell whether something they computed from the page's state is still current
+    this.revision = 0;
+  }
+
+  // position keeps the element's place among its siblings, for changes that move it
+  snapshot(element, { content = false, position = false } = {}) {
+    return {
+      element,
+      style: element.getAttribute('style'),
+      content: content ? this.captureContent(element) : null,
+      position: position ? { parent: element.parentNode, next: element.nextSibling } : null
+    };
+  }
+
+  captureContent(element) {
+    if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+      return { value: element.value };
+    }
+    // Keep the original nodes (not a copy) so listeners and references survive a restore
+    return { nodes: Array.from(element.childNodes) };
+  }
+
+  restore(record) {
+    const { element } = record;
+
+    if (record.position) {
+      const { parent } = record.position;
+      // The old neighbour may have been removed by the page since
+      const next = record.position.next?.parentNode === parent ? record.position.next : null;
+      // Moving an element reloads iframes inside it, so only move when needed
+      if (parent && (element.parentNode !== parent || element.nextSibling !== next)) {
+        parent.insertBefore(element, next);
+      }
+    }
+
+    if (record.style === null) {
+      element.removeAttribute('style');
+    } else {
+      element.setAttribute('style', record.style);
+    }
+
+    if (record.content) {
+      if ('value' in record.content) {
+        element.value = record.content.value;
+      } else {
+        element.replaceChildren(...record.content.nodes);
+      }
+    }
+  }
+
+  // Snapshot the elements a command is about to touch. Pass the result to
+  // commit() once the change is applied, or revert() if it failed midway.
+  begin(command, elements, options = {}) {
+    return {
+      command,
+      records: elements.map(element => this.snapshot(element, options)),
+      timestamp: Date.now()
+    };
+  }
+
+  commit(entry) {
+    this.undoStack.push(entry);
+    if (this.undoStack.length > this.MAX_ENTRIES) this.undoStack.shift();
+    this.redoStack = [];
+    this.revision++;
+    log('DEBUG', 'Undo entry recorded', {
+      actions: entry.command?.actions?.length,
+      undoDepth: this.undoStack.length
+    });
+  }
+
+  revert(entry) {
+    entry.records.slice().reverse().forEach(record => this.restore(record));
+  }
+
+  // Restore an entry's snapshots and keep the current state in their place,
+  // so the same entry can move back and forth between the two stacks.
+  swap(entry) {
+    const current = entry.records.map(record =>
+      this.snapshot(record.element, { content: !!record.content, position: !!record.position })
+    );
+    this.revert(entry);
+    entry.records = current;
+    this.revision++;
+  }
+
+  undo(count = 1) {
+    const undone = [];
+    while (undone.length < count && this.undoStack.length > 0) {
+      const entry = this.undoStack.pop();
+      this.swap(entry);
+      this.redoStack.push(entry);
+      undone.push(entry);
+    }
+    log('INFO', 'Undo applied', { requested: count, undone: undone.length });
+    return undone;
+  }
+
+  redo(count = 1) {
+    const redone = [];
+    while (redone.length < count && this.redoStack.length > 0) {
+      const entry = this.redoStack.pop();
+      this.swap(entry);
+      this.undoStack.push(entry);
+      redone.push(entry);
+    }
+    log('INFO', 'Redo applied', { requested: count, redone: redone.length });
+    return redone;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.revision++;
+  }
+}
+
+const HISTORY_COUNT_WORDS = {
+  once: 1, one: 1, twice: 2, two: 2, thrice: 3, three: 3, four: 4,
+  five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+};
+
+const HISTORY_FILLER_WORDS = new Set([
+  'that', 'it', 'this', 'the', 'last', 'previous', 'change', 'changes',
+  'command', 'commands', 'edit', 'edits', 'step', 'steps', 'time', 'times',
+  'please', 'again'
+]);
+
+// Recognise spoken "undo" / "redo" requests such as "undo that twice" or
+// "redo the last 3 changes", or their equivalents in language (see spoken-phrases.js).
+// Returns { type, count } or null.
+function parseHistoryCommand(transcript, language = '') {
+  if (!transcript) return null;
+
+  const spoken = parseSpokenHistory(transcript, language);
+  if (spoken) return spoken;
+
+  const words = transcript.toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  while (words.length && ['please', 'okay', 'ok', 'now'].includes(words[0])) words.shift();
+
+  const type = words.shift();
+  if (type !== 'undo' && type !== 'redo') return null;
+
+  const rest = words.filter(word => !HISTORY_FILLER_WORDS.has(word));
+  if (rest.length === 0) return { type, count: 1 };
+  if (rest.length > 1) return null;
+
+  const [word] = rest;
+  if (word === 'everything' || word === 'all') return { type, count: Infinity };
+  if (HISTORY_COUNT_WORDS[word]) return { type, count: HISTORY_COUNT_WORDS[word] };
+  if (/^\d+$/.test(word) && parseInt(word, 10) > 0) return { type, count: parseInt(word, 10) };
+
+  return null;
+}
@@ -0,0 +1,139 @@
+// Processing pipeline for utterances. Each job's prepare step (transcription and
+// interpretation) runs with limited concurrency; apply steps then run one at a
+// time in the order the utterances were spoken, whatever order they finish in.
+class UtteranceQueue {
+  constructor({ maxInFlight = 2, staleAfterMs = 30000, onDrop = null } = {}) {
+    this.MAX_IN_FLIGHT = maxInFlight;
+    this.STALE_AFTER_MS = staleAfterMs;
+    this.onDrop = onDrop; // (job, reason) for jobs that will never be applied
+
+    this.jobs = []; // Not yet applied, in spoken order
+    this.inFlight = 0;
+    this.applying = false;
+    this.jobCounter = 0;
+  }
+
+  // prepare(signal, job) resolves with the value passed to apply(result, job).
+  // signal is aborted when the job is cancelled or dropped.
+  enqueue({ id, createdAt, prepare, apply }) {
+    const job = {
+      id: id ?? `q${++this.jobCounter}`,
+      createdAt: createdAt ?? Date.now(),
+      prepare,
+      apply,
+      controller: new AbortController(),
+      state: 'waiting', // 'waiting' | 'running' | 'ready' | 'dropped'
+      result: null
+    };
+
+    this.jobs.push(job);
+    log('DEBUG', 'Utterance queued', { jobId: job.id, queued: this.jobs.length, inFlight: this.inFlight });
+    this.pump();
+    return job;
+  }
+
+  get pendingCount() {
+    return this.jobs.length;
+  }
+
+  pump() {
+    for (const job of this.jobs) {
+      if (this.inFlight >= this.MAX_IN_FLIGHT) break;
+      if (job.state !== 'waiting') continue;
+
+      if (this.isStale(job)) {
+        this.drop(job, 'stale');
+      } else {
+        this.start(job);
+      }
+    }
+    this.drain();
+  }
+
+  async start(job) {
+    job.state = 'running';
+    this.inFlight++;
+
+    try {
+      const result = await job.prepare(job.controller.signal, job);
+      if (job.state === 'running') {
+        job.result = result;
+        job.state = 'ready';
+      }
+    } catch (error) {
+      if (job.state === 'running') {
+        log('ERROR', 'Utterance preparation failed', { jobId: job.id, error: error.message });
+        this.drop(job, 'failed');
+      }
+    } finally {
+      this.inFlight--;
+      this.pump();
+    }
+  }
+
+  // Applies ready jobs from the head of the queue; a slow job holds back later ones
+  async drain() {
+    if (this.applying) return;
+    this.applying = true;
+
+    try {
+      while (this.jobs.length > 0 && ['ready', 'dropped'].includes(this.jobs[0].state)) {
+        const job = this.jobs.shift();
+        if (job.state === 'dropped') continue;
+
+        if (this.isStale(job)) {
+          this.drop(job, 'stale');
+          continue;
+        }
+
+        try {
+          await job.apply(job.result, job);
+        } catch (error) {
+          log('ERROR', 'Utterance apply failed', { jobId: job.id, error: error.message });
+        }
+      }
+    } finally {
+      this.applying = false;
+    }
+  }
+
+  // Drops every job spoken before `job` that hasn't been applied yet; returns how many
+  cancelBefore(job) {
+    const index = this.jobs.indexOf(job);
+    const earlier = (index === -1 ? this.jobs : this.jobs.slice(0, index))
+      .filter(item => item.state !== 'dropped');
+
+    earlier.forEach(item => this.drop(item, 'cancelled'));
+    this.drain();
+    return earlier.length;
+  }
+
+  clear(reason = 'cleared') {
+    this.jobs.filter(job => job.state !== 'dropped').forEach(job => this.drop(job, reason));
+    this.jobs = [];
+  }
+
+  drop(job, reason) {
+    job.state = 'dropped';
+    job.controller.abort();
+    log('INFO', 'Utterance dropped', { jobId: job.id, reason });
+    if (this.onDrop) this.onDrop(job, reason);
+  }
+
+  isStale(job) {
+    return Date.now() - job.createdAt > this.STALE_AFTER_MS;
+  }
+}
+
+// Spoken aborts such as "cancel" or "never mind, stop that", in English or language
+function parseCancelCommand(transcript, language = '') {
+  if (isSpokenPhrase(transcript, language, 'cancel')) return true;
+
+  const normalized = (transcript || '').toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .replace(/\b(please|oh|oops|wait|no)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return /^((cancel|never ?mind|forget it|scratch that|stop that|don t do that)( that| it| those| everything| all)?\s?)+$/.test(normalized);
+}
@@ -0,0 +1,95 @@
+// Collects words from the page that speech models tend to mis-hear (product names,
+// button labels, ids) so SpeechProcessor can pass them as a transcription prompt.
+// Terms are ordered by priority: the user's custom vocabulary, the hovered element
+// and its labels, then the visible headings. VoiceController collects them once per
+// utterance, for the element it targets.
+
+class VocabularyBuilder {
+  constructor(customVocabulary = []) {
+    this.customVocabulary = customVocabulary.map(term => term.trim()).filter(Boolean);
+    this.headings = [];
+    this.headingsCollectedAt = 0;
+    this.HEADINGS_CACHE_MS = 5000;
+    this.MAX_HEADINGS = 8;
+    this.MAX_TERM_LENGTH = 60;
+    this.MAX_TEXT_DESCENDANTS = 20; // Larger containers' text isn't read at all
+  }
+
+  collect(element) {
+    const terms = [
+      ...this.customVocabulary,
+      ...(element ? this.elementTerms(element) : []),
+      ...this.headingTerms()
+    ];
+
+    const seen = new Set();
+    return terms.filter((term) => {
+      const key = term.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // The element's own text, its accessible name and the labels around it
+  elementTerms(element) {
+    const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/)
+      .map(id => id && this.textOf(document.getElementById(id)));
+
+    return [
+      this.textOf(element),
+      element.getAttribute('aria-label'),
+      element.getAttribute('title'),
+      element.getAttribute('placeholder'),
+      element.getAttribute('alt'),
+      ...labelledBy,
+      ...[...(element.labels || [])].map(label => this.textOf(label)),
+      this.textOf(element.closest('label')),
+      this.textOf(element.closest('fieldset')?.querySelector('legend')),
+      this.humanizeId(element.id)
+    ].map(text => this.clean(text)).filter(Boolean);
+  }
+
+  // Headings change rarely, so they are re-read at most every HEADINGS_CACHE_MS
+  headingTerms() {
+    const now = Date.now();
+    if (now - this.headingsCollectedAt < this.HEADINGS_CACHE_MS) return this.headings;
+
+    // Headings on screen come first
+    const visible = [...document.querySelectorAll('h1, h2, h3, [role="heading"]')]
+      .filter(heading => !heading.closest('[data-pagician-ui]') && heading.getClientRects().length > 0)
+      .map((heading) => {
+        const rect = heading.getBoundingClientRect();
+        return { heading, onScreen: rect.bottom > 0 && rect.top < window.innerHeight };
+      })
+      .sort((a, b) => b.onScreen - a.onScreen);
+
+    this.headings = visible
+      .map(({ heading }) => this.clean(this.textOf(heading)))
+      .filter(Boolean)
+      .slice(0, this.MAX_HEADINGS);
+    this.headingsCollectedAt = now;
+    return this.headings;
+  }
+
+  // Rendered text only: innerText leaves out script and style source and hidden
+  // text. Containers such as <main> are skipped rather than serialized.
+  textOf(element) {
+    if (!element || /^(SCRIPT|STYLE|NOSCRIPT|TEMPLATE)$/.test(element.tagName)) return null;
+    if (element.getElementsByTagName('*').length > this.MAX_TEXT_DESCENDANTS) return null;
+    return element.innerText ?? element.textContent;
+  }
+
+  // "acme-cloud_plan" or "acmeCloudPlan" → "acme cloud plan"; generated ids are skipped
+  humanizeId(id) {
+    if (!id || id.length < 3 || /\d{3,}|^[a-f0-9-]{16,}$/i.test(id)) return null;
+    return id.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[-_]+/g, ' ');
+  }
+
+  // Long text is cut at a word boundary
+  clean(text) {
+    const collapsed = (text || '').replace(/\s+/g, ' ').trim();
+    if (collapsed.length <= this.MAX_TERM_LENGTH) return collapsed;
+    return collapsed.slice(0, this.MAX_TERM_LENGTH).replace(/\s+\S*$/, '');
+  }
+}
@@ -0,0 +1,90 @@
+// Optional wake phrase for always-on listening: "Pagician, make it blue".
+// Transcripts that don't start with the phrase are ignored, except during a short
+// follow-up window after a command, so a run of edits needs the phrase only once.
+
+const WAKE_LEAD_WORDS = new Set(['hey', 'hi', 'ok', 'okay', 'yo']);
+
+class WakePhraseGate {
+  constructor({ enabled = false, phrase = '', followUpMs = 8000 } = {}) {
+    this.enabled = enabled && !!WakePhraseGate.normalize(phrase);
+    this.phrase = WakePhraseGate.normalize(phrase);
+    this.FOLLOW_UP_MS = followUpMs;
+    this.followUpUntil = 0;
+  }
+
+  static normalize(text) {
+    return (text || '').toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  get inFollowUp() {
+    return Date.now() < this.followUpUntil;
+  }
+
+  openFollowUp() {
+    if (this.enabled) this.followUpUntil = Date.now() + this.FOLLOW_UP_MS;
+  }
+
+  closeFollowUp() {
+    this.followUpUntil = 0;
+  }
+
+  // Returns { accepted, transcript, woke }: transcript has the phrase stripped,
+  // woke says whether the phrase was heard (so the remainder may be empty)
+  match(transcript) {
+    if (!this.enabled) return { accepted: true, transcript, woke: false };
+
+    const rest = this.stripPhrase(transcript || '');
+    if (rest !== null) return { accepted: true, transcript: rest, woke: true };
+
+    return { accepted: this.inFollowUp, transcript, woke: false };
+  }
+
+  // The words after the phrase in the speaker's casing, or null when it doesn't
+  // start with the phrase. Transcription often mangles a made-up name slightly
+  // ("Pajician", "Page itian"), so small misspellings are tolerated, but the first
+  // letter must match so ordinary words like "magician" don't wake it.
+  stripPhrase(transcript) {
+    const words = transcript.trim().split(/\s+/);
+    let start = 0;
+    while (start < words.length - 1 && WAKE_LEAD_WORDS.has(WakePhraseGate.normalize(words[start]))) start++;
+
+    const target = this.phrase.replace(/ /g, '');
+    const phraseWords = this.phrase.split(' ').length;
+    const tolerance = Math.floor(target.length / 4);
+
+    // The phrase may have been heard as one word more or fewer than it has;
+    // the closest reading wins
+    let best = null;
+    for (let count = Math.max(1, phraseWords - 1); count <= phraseWords + 1; count++) {
+      if (start + count > words.length) break;
+
+      const heard = WakePhraseGate.normalize(words.slice(start, start + count).join(' ')).replace(/ /g, '');
+      const distance = heard && heard[0] === target[0] ? editDistance(heard, target) : Infinity;
+      if (distance <= tolerance && (!best || distance < best.distance)) {
+        best = { count, distance };
+      }
+    }
+
+    if (!best) return null;
+    return words.slice(start + best.count).join(' ').replace(/^[\s,.:;!?-]+/, '');
+  }
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
@@ -21,13 +21,414 @@ document.addEventListener('DOMContentLoaded', () => {
   const testOpenaiButton = document.getElementById('testOpenai');
   const testAnthropicButton = document.getElementById('testAnthropic');
   const statusDiv = document.getElementById('status');
+  const speechProviderSelect = document.getElementById('speechProvider');
+  const languageSelect = document.getElementById('language');
+  const customVocabularyInput = document.getElementById('customVocabulary');
+  const sttOpenaiModelInput = document.getElementById('sttOpenaiModel');
+  const sttCompatibleBaseUrlInput = document.getElementById('sttCompatibleBaseUrl');
+  const sttCompatibleApiKeyInput = document.getElementById('sttCompatibleApiKey');
+  const sttCompatibleModelInput = document.getElementById('sttCompatibleModel');
+  const llmProviderSelect = document.getElementById('llmProvider');
+  const llmCompatibleBaseUrlInput = document.getElementById('llmCompatibleBaseUrl');
+  const llmCompatibleApiKeyInput = document.getElementById('llmCompatibleApiKey');
+  const llmCompatibleResponseFormatSelect = document.getElementById('llmCompatibleResponseFormat');
+  const overridesContainer = document.getElementById('confidenceOverrides');
+  const previewBody = document.querySelector('#confidencePreview tbody');
+  const confirmEnabledCheckbox = document.getElementById('confirmEnabled');
+  const confirmSettings = document.getElementById('confirmSettings');
+  const confirmCategoriesContainer = document.getElementById('confirmCategories');
+  const confirmBelowConfidenceInput = document.getElementById('confirmBelowConfidence');
+  const confirmTimeoutInput = document.getElementById('confirmTimeout');
+  const micDeviceSelect = document.getElementById('micDevice');
+  const micDeviceHelp = document.getElementById('micDeviceHelp');
+  const micEchoCancellationCheckbox = document.getElementById('micEchoCancellation');
+  const micNoiseSuppressionCheckbox = document.getElementById('micNoiseSuppression');
+  const micAutoGainControlCheckbox = document.getElementById('micAutoGainControl');
+  const micTestButton = document.getElementById('micTest');
+  const micPlayback = document.getElementById('micPlayback');
+  const micTestHelp = document.getElementById('micTestHelp');
+  const MIC_TEST_MS = 3000;
+  const captureModeSelect = document.getElementById('captureMode');
+  const pushToTalkSettings = document.getElementById('pushToTalkSettings');
+  const pushToTalkKeyInput = document.getElementById('pushToTalkKey');
+  const wakeEnabledCheckbox = document.getElementById('wakeEnabled');
+  const wakeSettings = document.getElementById('wakeSettings');
+  const wakePhraseInput = document.getElementById('wakePhrase');
+  const wakeFollowUpInput = document.getElementById('wakeFollowUp');
+  const vadTrailingSilenceInput = document.getElementById('vadTrailingSilence');
+  const vadMaxChunkInput = document.getElementById('vadMaxChunk');
+  const vadCalibrationInput = document.getElementById('vadCalibration');
+  const filterRulesContainer = document.getElementById('filterRules');
+  const addFilterRuleButton = document.getElementById('addFilterRule');
+  const ACTION_NAMES = DOM_ACTION_SCHEMA.properties.actions.items.properties.action.enum;
+  const LLM_FIELD_PREFIXES = { anthropic: 'llmAnthropic', openai: 'llmOpenai', compatible: 'llmCompatible' };
 
   loadSettings();
 
+  renderOverrideInputs();
+  renderConfirmCategories();
+  SPEECH_LANGUAGES.forEach((code) => languageSelect.add(new Option(describeLanguage(code), code)));
+
+  confirmEnabledCheckbox.addEventListener('change', () => {
+    confirmSettings.classList.toggle('active', confirmEnabledCheckbox.checked);
+  });
+
+  micTestButton.addEventListener('click', () => testMicrophone());
+  navigator.mediaDevices.addEventListener('devicechange', () => renderMicrophones(readMicrophone()));
+
+  captureModeSelect.addEventListener('change', () => showPushToTalkSettings());
+
+  wakeEnabledCheckbox.addEventListener('change', () => {
+    wakeSettings.classList.toggle('active', wakeEnabledCheckbox.checked);
+  });
+
+  addFilterRuleButton.addEventListener('click', () => {
+    addFilterRule({ pattern: '', mode: 'contains', weight: 'reject' }).querySelector('input').focus();
+  });
+
+  // The key is stored as KeyboardEvent.code so it doesn't depend on the keyboard layout
+  pushToTalkKeyInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Tab') return;
+    e.preventDefault();
+    pushToTalkKeyInput.dataset.code = e.code;
+    pushToTalkKeyInput.value = describeKeyCode(e.code);
+  });
+
   confidenceSlider.addEventListener('input', () => {
     confidenceValue.textContent = confidenceSlider.value;
+    renderConfidencePreview();
+  });
+
+  overridesContainer.addEventListener('input', () => renderConfidencePreview());
+
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && changes.recentCommands) renderConfidencePreview();
   });
 
+  function renderOverrideInputs() {
+    ACTION_NAMES.forEach((action) => {
+      const label = document.createElement('label');
+      label.textContent = action;
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.max = '1';
+      input.step = '0.05';
+      input.placeholder = 'default';
+      input.dataset.action = action;
+
+      label.appendChild(input);
+      overridesContainer.appendChild(label);
+    });
+  }
+
+  function renderConfirmCategories() {
+    Object.entries(ACTION_CATEGORIES).forEach(([category, actions]) => {
+      const label = document.createElement('label');
+      label.title = actions.join(', ');
+      label.textContent = `${category} (${actions.length})`;
+
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.dataset.category = category;
+
+      label.prepend(input);
+      confirmCategoriesContainer.appendChild(label);
+    });
+  }
+
+  function fillConfirmMode(confirmMode) {
+    confirmEnabledCheckbox.checked = confirmMode.enabled;
+    confirmSettings.classList.toggle('active', confirmMode.enabled);
+    confirmCategoriesContainer.querySelectorAll('input[data-category]').forEach((input) => {
+      input.checked = !!confirmMode.categories[input.dataset.category];
+    });
+    confirmBelowConfidenceInput.value = confirmMode.belowConfidence;
+    confirmTimeoutInput.value = Math.round(confirmMode.timeoutMs / 1000);
+  }
+
+  function readConfirmMode() {
+    const defaults = DEFAULT_SETTINGS.confirmMode;
+    const categories = {};
+    confirmCategoriesContainer.querySelectorAll('input[data-category]').forEach((input) => {
+      categories[input.dataset.category] = input.checked;
+    });
+
+    const belowConfidence = parseFloat(confirmBelowConfidenceInput.value);
+    const timeoutSeconds = parseInt(confirmTimeoutInput.value, 10);
+
+    return {
+      enabled: confirmEnabledCheckbox.checked,
+      categories,
+      belowConfidence: Number.isFinite(belowConfidence) ? Math.min(Math.max(belowConfidence, 0), 1) : defaults.belowConfidence,
+      timeoutMs: Number.isFinite(timeoutSeconds) && timeoutSeconds >= 2 ? timeoutSeconds * 1000 : defaults.timeoutMs
+    };
+  }
+
+  // Labels are empty until this page has microphone access; the test button grants it
+  async function renderMicrophones(microphone) {
+    const devices = (await navigator.mediaDevices.enumerateDevices())
+      .filter(device => device.kind === 'audioinput' && device.deviceId !== 'default');
+    const hasLabels = devices.some(device => device.label);
+
+    micDeviceSelect.innerHTML = '';
+    micDeviceSelect.add(new Option('System default', ''));
+    devices.forEach((device, index) => {
+      const option = new Option(device.label || `Microphone ${index + 1}`, device.deviceId);
+      option.dataset.label = device.label;
+      micDeviceSelect.add(option);
+    });
+
+    // Keep a saved device in the list even while it's unplugged
+    if (microphone.label && !devices.some(device => device.label === microphone.label)) {
+      const option = new Option(`${microphone.label} (not connected)`, microphone.deviceId);
+      option.dataset.label = microphone.label;
+      micDeviceSelect.add(option);
+    }
+
+    const selected = [...micDeviceSelect.options].find(option => option.dataset.label && option.dataset.label === microphone.label);
+    micDeviceSelect.value = selected ? selected.value : '';
+
+    micDeviceHelp.textContent = hasLabels
+      ? 'Pagician looks the device up by name on each site, so it stays selected across sessions.'
+      : 'Click "Test Microphone" to allow microphone access and list your devices by name.';
+  }
+
+  function fillMicrophone(microphone) {
+    micEchoCancellationCheckbox.checked = microphone.echoCancellation;
+    micNoiseSuppressionCheckbox.checked = microphone.noiseSuppression;
+    micAutoGainControlCheckbox.checked = microphone.autoGainControl;
+    renderMicrophones(microphone);
+  }
+
+  function readMicrophone() {
+    const option = micDeviceSelect.selectedOptions[0];
+    return {
+      deviceId: micDeviceSelect.value,
+      label: option?.dataset.label || '',
+      echoCancellation: micEchoCancellationCheckbox.checked,
+      noiseSuppression: micNoiseSuppressionCheckbox.checked,
+      autoGainControl: micAutoGainControlCheckbox.checked
+    };
+  }
+
+  async function testMicrophone() {
+    const microphone = readMicrophone();
+    let stream;
+
+    micTestButton.disabled = true;
+    micPlayback.hidden = true;
+
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: microphoneConstraints(microphone, microphone.deviceId || null)
+      });
+      micTestHelp.textContent = `Recording from ${stream.getAudioTracks()[0]?.label || 'the default microphone'}... say something.`;
+
+      const recorder = new MediaRecorder(stream);
+      const chunks = [];
+      recorder.ondataavailable = (event) => chunks.push(event.data);
+      const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+      recorder.start();
+      await new Promise(resolve => setTimeout(resolve, MIC_TEST_MS));
+      recorder.stop();
+      await stopped;
+
+      if (micPlayback.src) URL.revokeObjectURL(micPlayback.src);
+      micPlayback.src = URL.createObjectURL(new Blob(chunks, { type: recorder.mimeType }));
+      micPlayback.hidden = false;
+      micPlayback.play();
+      micTestHelp.textContent = 'Playing back your recording.';
+
+      // Access is granted now, so device names can be shown
+      renderMicrophones(microphone);
+    } catch (error) {
+      log('WARN', 'Microphone test failed', { error: error.message });
+      micTestHelp.textContent = error.name === 'NotAllowedError'
+        ? 'Microphone access was blocked. Allow it for this page in Chrome and try again.'
+        : `Microphone test failed: ${error.message}`;
+    } finally {
+      if (stream) stream.getTracks().forEach(track => track.stop());
+      micTestButton.disabled = false;
+    }
+  }
+
+  function showPushToTalkSettings() {
+    pushToTalkSettings.classList.toggle('active', captureModeSelect.value !== 'vad');
+  }
+
+  function fillWakePhrase(wakePhrase) {
+    wakeEnabledCheckbox.checked = wakePhrase.enabled;
+    wakeSettings.classList.toggle('active', wakePhrase.enabled);
+    wakePhraseInput.value = wakePhrase.phrase;
+    wakeFollowUpInput.value = Math.round(wakePhrase.followUpMs / 1000);
+  }
+
+  function readWakePhrase() {
+    const defaults = DEFAULT_SETTINGS.wakePhrase;
+    const followUpSeconds = parseInt(wakeFollowUpInput.value, 10);
+
+    return {
+      enabled: wakeEnabledCheckbox.checked,
+      phrase: wakePhraseInput.value.trim() || defaults.phrase,
+      followUpMs: Number.isFinite(followUpSeconds) ? Math.min(Math.max(followUpSeconds, 0), 60) * 1000 : defaults.followUpMs
+    };
+  }
+
+  function fillVad(vad) {
+    vadTrailingSilenceInput.value = vad.trailingSilenceMs;
+    vadMaxChunkInput.value = vad.maxChunkMs;
+    vadCalibrationInput.value = vad.calibrationMs;
+  }
+
+  function readVad() {
+    const defaults = DEFAULT_SETTINGS.vad;
+    const clamp = (input, min, max, fallback) => {
+      const value = parseInt(input.value, 10);
+      return Number.isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+    };
+
+    return {
+      trailingSilenceMs: clamp(vadTrailingSilenceInput, 300, 5000, defaults.trailingSilenceMs),
+      maxChunkMs: clamp(vadMaxChunkInput, 3000, 60000, defaults.maxChunkMs),
+      calibrationMs: clamp(vadCalibrationInput, 0, 5000, defaults.calibrationMs)
+    };
+  }
+
+  function addFilterRule(rule) {
+    const row = document.createElement('div');
+    row.className = 'filter-rule';
+
+    const pattern = document.createElement('input');
+    pattern.type = 'text';
+    pattern.placeholder = 'e.g. thanks for listening';
+    pattern.value = rule.pattern;
+
+    const mode = document.createElement('select');
+    mode.dataset.field = 'mode';
+    [['contains', 'Contains'], ['exact', 'Whole transcript'], ['regex', 'Regex']].forEach(([value, text]) => {
+      mode.add(new Option(text, value));
+    });
+    mode.value = rule.mode;
+
+    const weight = document.createElement('select');
+    weight.dataset.field = 'weight';
+    [['reject', 'Reject'], ['suspect', 'Suspect']].forEach(([value, text]) => {
+      weight.add(new Option(text, value));
+    });
+    weight.value = rule.weight;
+
+    const remove = document.createElement('button');
+    remove.className = 'btn btn-secondary';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => row.remove());
+
+    row.append(pattern, mode, weight, remove);
+    filterRulesContainer.appendChild(row);
+    return row;
+  }
+
+  function fillFilterRules(rules) {
+    filterRulesContainer.replaceChildren();
+    rules.forEach((rule) => addFilterRule(rule));
+  }
+
+  // Blank rows are dropped
+  function readFilterRules() {
+    return [...filterRulesContainer.querySelectorAll('.filter-rule')].map((row) => ({
+      pattern: row.querySelector('input').value.trim(),
+      mode: row.querySelector('[data-field="mode"]').value,
+      weight: row.querySelector('[data-field="weight"]').value
+    })).filter((rule) => rule.pattern);
+  }
+
+  function fillOverrides(overrides) {
+    overridesContainer.querySelectorAll('input[data-action]').forEach((input) => {
+      const value = overrides[input.dataset.action];
+      input.value = typeof value === 'number' ? value : '';
+    });
+  }
+
+  // Blank inputs are saved as null so they don't fall back to the default overrides
+  function readOverrides() {
+    const overrides = {};
+    overridesContainer.querySelectorAll('input[data-action]').forEach((input) => {
+      const value = parseFloat(input.value);
+      overrides[input.dataset.action] = Number.isFinite(value) ? Math.min(Math.max(value, 0), 1) : null;
+    });
+    return overrides;
+  }
+
+  async function renderConfidencePreview() {
+    const { recentCommands = [] } = await chrome.storage.local.get(['recentCommands']);
+    const policy = new ConfidencePolicy({
+      confidenceThreshold: parseFloat(confidenceSlider.value),
+      confidenceOverrides: readOverrides()
+    });
+
+    previewBody.innerHTML = '';
+
+    if (recentCommands.length === 0) {
+      const row = previewBody.insertRow();
+      const cell = row.insertCell();
+      cell.colSpan = 4;
+      cell.textContent = 'No commands yet. Use voice control on a page to fill this table.';
+      return;
+    }
+
+    recentCommands.forEach((command) => {
+      const verdict = policy.evaluate(command);
+      const changed = verdict.accepted !== command.accepted;
+      const row = previewBody.insertRow();
+
+      row.insertCell().textContent = `"${command.transcript}" → ${command.actions.map(item => item.action).join(', ')}`;
+      row.insertCell().textContent = command.confidence;
+      row.insertCell().textContent = `${verdict.threshold} (${verdict.action})`;
+
+      const result = row.insertCell();
+      result.textContent = `${verdict.accepted ? 'Applied' : 'Rejected'}${changed ? ' *' : ''}`;
+      result.className = `${verdict.accepted ? 'accepted' : 'rejected'}${changed ? ' changed' : ''}`;
+    });
+  }
+
+  speechProviderSelect.addEventListener('change', () => showSpeechProviderSettings());
+  llmProviderSelect.addEventListener('change', () => showLlmProviderSettings());
+
+  function showSpeechProviderSettings() {
+    document.querySelectorAll('[data-speech-provider]').forEach((section) => {
+      section.classList.toggle('active', section.dataset.speechProvider === speechProviderSelect.value);
+    });
+  }
+
+  function showLlmProviderSettings() {
+    document.querySelectorAll('[data-llm-provider]').forEach((section) => {
+      section.classList.toggle('active', section.dataset.llmProvider === llmProviderSelect.value);
+    });
+  }
+
+  // Model, temperature and timeout fields share an id prefix per LLM provider
+  function fillLlmTuning(provider, config) {
+    const prefix = LLM_FIELD_PREFIXES[provider];
+    document.getElementById(`${prefix}Model`).value = config.model;
+    document.getElementById(`${prefix}Temperature`).value = config.temperature;
+    document.getElementById(`${prefix}Timeout`).value = config.timeoutMs;
+  }
+
+  function readLlmTuning(provider) {
+    const prefix = LLM_FIELD_PREFIXES[provider];
+    const defaults = DEFAULT_SETTINGS.llmProviders[provider];
+    const temperature = parseFloat(document.getElementById(`${prefix}Temperature`).value);
+    const timeoutMs = parseInt(document.getElementById(`${prefix}Timeout`).value, 10);
+
+    return {
+      model: document.getElementById(`${prefix}Model`).value.trim() || defaults.model,
+      temperature: Number.isFinite(temperature) ? Math.min(Math.max(temperature, 0), 2) : defaults.temperature,
+      timeoutMs: Number.isFinite(timeoutMs) && timeoutMs >= 1000 ? timeoutMs : defaults.timeoutMs
+    };
+  }
+
   saveButton.addEventListener('click', () => saveSettings());
   testOpenaiButton.addEventListener('click', () => testOpenAiKey());
   testAnthropicButton.addEventListener('click', () => testAnthropicKey());
@@ -45,8 +446,9 @@ document.addEventListener('DOMContentLoaded', () => {
     const result = await chrome.storage.sync.get([
       'openaiApiKey',
       'anthropicApiKey',
-      'confidenceThreshold'
+      ...Object.keys(DEFAULT_SETTINGS)
     ]);
+    const settings = mergeSettings(DEFAULT_SETTINGS, result);
 
     if (result.openaiApiKey) {
       openaiKeyInput.value = result.openaiApiKey;
@@ -60,14 +462,45 @@ document.addEventListener('DOMContentLoaded', () => {
       anthropicStatus.className = 'key-status configured';
     }
 
-    if (result.confidenceThreshold !== undefined) {
-      confidenceSlider.value = result.confidenceThreshold;
-      confidenceValue.textContent = result.confidenceThreshold;
+    confidenceSlider.value = settings.confidenceThreshold;
+    confidenceValue.textContent = settings.confidenceThreshold;
+    fillOverrides(settings.confidenceOverrides);
+    fillConfirmMode(settings.confirmMode);
+    renderConfidencePreview();
+
+    const { openai, compatible } = settings.speechProviders;
+    speechProviderSelect.value = settings.speechProvider;
+    if (settings.language && !SPEECH_LANGUAGES.includes(settings.language)) {
+      languageSelect.add(new Option(describeLanguage(settings.language), settings.language));
     }
+    languageSelect.value = settings.language;
+    customVocabularyInput.value = settings.customVocabulary.join('\n');
+    sttOpenaiModelInput.value = openai.model;
+    sttCompatibleBaseUrlInput.value = compatible.baseUrl;
+    sttCompatibleApiKeyInput.value = compatible.apiKey;
+    sttCompatibleModelInput.value = compatible.model;
+    showSpeechProviderSettings();
+    fillVad(settings.vad);
+    fillFilterRules(settings.hallucinationRules);
+    fillMicrophone(settings.microphone);
+    captureModeSelect.value = settings.captureMode;
+    pushToTalkKeyInput.dataset.code = settings.pushToTalkKey;
+    pushToTalkKeyInput.value = describeKeyCode(settings.pushToTalkKey);
+    showPushToTalkSettings();
+    fillWakePhrase(settings.wakePhrase);
+
+    llmProviderSelect.value = settings.llmProvider;
+    Object.entries(settings.llmProviders).forEach(([provider, config]) => fillLlmTuning(provider, config));
+    llmCompatibleBaseUrlInput.value = settings.llmProviders.compatible.baseUrl;
+    llmCompatibleApiKeyInput.value = settings.llmProviders.compatible.apiKey;
+    llmCompatibleResponseFormatSelect.value = settings.llmProviders.compatible.responseFormat;
+    showLlmProviderSettings();
 
     log('INFO', 'Settings loaded', {
       hasOpenAi: !!result.openaiApiKey,
-      hasAnthropic: !!result.anthropicApiKey
+      hasAnthropic: !!result.anthropicApiKey,
+      speechProvider: settings.speechProvider,
+      llmProvider: settings.llmProvider
     });
   }
 
@@ -76,6 +509,30 @@ document.addEventListener('DOMContentLoaded', () => {
     const openaiKey = openaiKeyInput.value.trim();
     const anthropicKey = anthropicKeyInput.value.trim();
     const confidence = parseFloat(confidenceSlider.value);
+    const speechProvider = speechProviderSelect.value;
+    const speechProviders = {
+      openai: {
+        model: sttOpenaiModelInput.value.trim() || DEFAULT_SETTINGS.speechProviders.openai.model
+      },
+      compatible: {
+        baseUrl: sttCompatibleBaseUrlInput.value.trim(),
+        apiKey: sttCompatibleApiKeyInput.value.trim(),
+        model: sttCompatibleModelInput.value.trim() || DEFAULT_SETTINGS.speechProviders.compatible.model
+      },
+      webspeech: {}
+    };
+    const hallucinationRules = readFilterRules();
+    const llmProvider = llmProviderSelect.value;
+    const llmProviders = {
+      anthropic: readLlmTuning('anthropic'),
+      openai: readLlmTuning('openai'),
+      compatible: {
+        ...readLlmTuning('compatible'),
+        baseUrl: llmCompatibleBaseUrlInput.value.trim(),
+        apiKey: llmCompatibleApiKeyInput.value.trim(),
+        responseFormat: llmCompatibleResponseFormatSelect.value
+      }
+    };
 
     // Validate OpenAI key
     if (openaiKey && !openaiKey.startsWith('sk-')) {
@@ -89,8 +546,42 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
 
-    if (!openaiKey && !anthropicKey) {
-      showStatus('Please enter at least one API key', 'error');
+    if (speechProvider === 'openai' && !openaiKey) {
+      showStatus('OpenAI transcription needs an OpenAI API key', 'error');
+      return;
+    }
+
+    if (speechProvider === 'compatible' && !/^https?:\/\//.test(speechProviders.compatible.baseUrl)) {
+      showStatus('Please enter the base URL of your transcription server (http:// or https://)', 'error');
+      return;
+    }
+
+    const invalidRule = hallucinationRules.find((rule) => {
+      if (rule.mode !== 'regex') return false;
+      try {
+        new RegExp(rule.pattern);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    });
+    if (invalidRule) {
+      showStatus(`Invalid filter rule regex: ${invalidRule.pattern}`, 'error');
+      return;
+    }
+
+    if (llmProvider === 'openai' && !openaiKey) {
+      showStatus('The OpenAI LLM provider needs an OpenAI API key', 'error');
+      return;
+    }
+
+    if (llmProvider === 'anthropic' && !anthropicKey) {
+      showStatus('The Anthropic LLM provider needs an Anthropic API key', 'error');
+      return;
+    }
+
+    if (llmProvider === 'compatible' && !/^https?:\/\//.test(llmProviders.compatible.baseUrl)) {
+      showStatus('Please enter the base URL of your LLM server (http:// or https://)', 'error');
       return;
     }
 
@@ -111,7 +602,23 @@ document.addEventListener('DOMContentLoaded', () => {
 
       // Save other settings directly
       promises.push(
-        chrome.storage.sync.set({ confidenceThreshold: confidence })
+        chrome.storage.sync.set({
+          confidenceThreshold: confidence,
+          confidenceOverrides: readOverrides(),
+          confirmMode: readConfirmMode(),
+          vad: readVad(),
+          hallucinationRules,
+          microphone: readMicrophone(),
+          captureMode: captureModeSelect.value,
+          wakePhrase: readWakePhrase(),
+          pushToTalkKey: pushToTalkKeyInput.dataset.code || DEFAULT_SETTINGS.pushToTalkKey,
+          language: languageSelect.value,
+          customVocabulary: customVocabularyInput.value.split('\n').map(term => term.trim()).filter(Boolean),
+          speechProvider,
+          speechProviders,
+          llmProvider,
+          llmProviders
+        })
       );
 
       const results = await Promise.all(promises);
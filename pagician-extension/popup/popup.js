@@ -53,15 +53,10 @@ document.addEventListener('DOMContentLoaded', async () => {
           apiText.classList.add('valid');
           apiText.textContent = 'API Keys Configured';
           return true;
-        } else if (status.hasOpenAi && !status.hasAnthropic) {
+        } else if (status.missing.length === 1) {
           apiIndicator.classList.remove('valid');
           apiText.classList.remove('valid');
-          apiText.textContent = 'Missing Anthropic Key';
-          return false;
-        } else if (!status.hasOpenAi && status.hasAnthropic) {
-          apiIndicator.classList.remove('valid');
-          apiText.classList.remove('valid');
-          apiText.textContent = 'Missing OpenAI Key';
+          apiText.textContent = `Missing ${status.missing[0]} Key`;
           return false;
         } else {
           apiIndicator.classList.remove('valid');
@@ -231,7 +226,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 
   chrome.storage.onChanged.addListener((changes, namespace) => {
-    if (namespace === 'sync' && (changes.openaiApiKey || changes.anthropicApiKey)) {
+    if (namespace === 'sync' && (changes.openaiApiKey || changes.anthropicApiKey || changes.speechProvider || changes.llmProvider)) {
       log('INFO', 'API key changed, updating UI');
       checkApiKeys();
       updateUI();
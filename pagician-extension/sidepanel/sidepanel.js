@@ -11,7 +11,25 @@ document.addEventListener('DOMContentLoaded', async () => {
   const permissionStatus = document.getElementById('permissionStatus');
   const permissionIndicator = permissionStatus.querySelector('.permission-indicator');
   const permissionText = permissionStatus.querySelector('.permission-text');
+  const persistSection = document.getElementById('persistSection');
+  const persistToggle = document.getElementById('persistToggle');
+  const persistScope = document.getElementById('persistScope');
+  const persistCount = document.getElementById('persistCount');
+  const clearSavedBtn = document.getElementById('clearSavedBtn');
+  const exportFormat = document.getElementById('exportFormat');
+  const copyExportBtn = document.getElementById('copyExportBtn');
+  const downloadExportBtn = document.getElementById('downloadExportBtn');
+  const importText = document.getElementById('importText');
+  const importFile = document.getElementById('importFile');
+  const loadFileBtn = document.getElementById('loadFileBtn');
+  const replayBtn = document.getElementById('replayBtn');
+  const importReport = document.getElementById('importReport');
   const logContainer = document.getElementById('logContainer');
+  const levelMeter = document.getElementById('levelMeter');
+  const levelBar = document.getElementById('levelBar');
+  const levelOnset = document.getElementById('levelOnset');
+  const levelOffset = document.getElementById('levelOffset');
+  const levelText = document.getElementById('levelText');
   const clearLogBtn = document.getElementById('clearLogBtn');
 
   let isActive = false;
@@ -42,15 +60,10 @@ document.addEventListener('DOMContentLoaded', async () => {
           apiText.classList.add('valid');
           apiText.textContent = 'API Keys Configured';
           return true;
-        } else if (status.hasOpenAi && !status.hasAnthropic) {
+        } else if (status.missing.length === 1) {
           apiIndicator.classList.remove('valid');
           apiText.classList.remove('valid');
-          apiText.textContent = 'Missing Anthropic Key';
-          return false;
-        } else if (!status.hasOpenAi && status.hasAnthropic) {
-          apiIndicator.classList.remove('valid');
-          apiText.classList.remove('valid');
-          apiText.textContent = 'Missing OpenAI Key';
+          apiText.textContent = `Missing ${status.missing[0]} Key`;
           return false;
         } else {
           apiIndicator.classList.remove('valid');
@@ -104,9 +117,51 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  function renderPersistence(status) {
+    persistSection.classList.remove('unavailable');
+    persistToggle.disabled = false;
+    persistToggle.checked = status.persist;
+    persistScope.value = status.scope;
+    persistScope.disabled = !status.persist;
+    persistCount.textContent = `${status.savedCount} saved`;
+    clearSavedBtn.disabled = status.savedCount === 0;
+  }
+
+  async function sendToActiveTab(message) {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    return chrome.tabs.sendMessage(tab.id, message);
+  }
+
+  async function checkPersistence() {
+    try {
+      const response = await sendToActiveTab({ action: 'getPersistence' });
+      if (response && response.success) {
+        renderPersistence(response.status);
+        return;
+      }
+    } catch {
+      // Content script not available on this page
+    }
+    persistSection.classList.add('unavailable');
+    persistToggle.disabled = true;
+    persistScope.disabled = true;
+    clearSavedBtn.disabled = true;
+    persistCount.textContent = 'Unavailable';
+  }
+
+  async function updatePersistence(settings) {
+    try {
+      const response = await sendToActiveTab({ action: 'setPersistence', settings });
+      if (response && response.success) renderPersistence(response.status);
+    } catch {
+      checkPersistence();
+    }
+  }
+
   async function updateUI() {
     const hasKeys = await checkApiKeys();
     await checkPermissionStatus();
+    await checkPersistence();
 
     if (isActive) {
       toggleBtn.classList.add('active');
@@ -118,6 +173,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       btnText.textContent = 'Start Voice Control';
       statusIndicator.classList.remove('active');
       statusText.textContent = 'Inactive';
+      levelMeter.classList.remove('active');
     }
 
     if (!hasKeys) {
@@ -173,8 +229,131 @@ document.addEventListener('DOMContentLoaded', async () => {
     chrome.runtime.openOptionsPage();
   });
 
+  persistToggle.addEventListener('change', () => {
+    updatePersistence({ persist: persistToggle.checked });
+  });
+
+  persistScope.addEventListener('change', () => {
+    updatePersistence({ scope: persistScope.value });
+  });
+
+  clearSavedBtn.addEventListener('click', async () => {
+    try {
+      await sendToActiveTab({ action: 'clearPersistedEdits' });
+    } finally {
+      checkPersistence();
+    }
+  });
+
+  // ── Export ──
+
+  const FORMAT_LABELS = { css: 'CSS patch', json: 'JSON changeset', userscript: 'Userscript' };
+
+  async function buildExport() {
+    let response;
+    try {
+      response = await sendToActiveTab({ action: 'getChangeset' });
+    } catch {
+      throw new Error('Pagician is not running on this page');
+    }
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Could not read changes from the page');
+    }
+    if (response.changeset.changes.length === 0) {
+      throw new Error('No changes to export yet');
+    }
+
+    const format = exportFormat.value;
+    const exporter = new ChangeExporter(response.changeset);
+    return {
+      format,
+      exporter,
+      count: response.changeset.changes.length,
+      content: exporter.export(format)
+    };
+  }
+
+  copyExportBtn.addEventListener('click', async () => {
+    try {
+      const { format, count, content } = await buildExport();
+      await navigator.clipboard.writeText(content);
+      addLogEntry('status', 'Export', `Copied ${FORMAT_LABELS[format]} (${count} changes) to clipboard`, Date.now());
+    } catch (error) {
+      addLogEntry('error', 'Export', error.message, Date.now());
+    }
+  });
+
+  downloadExportBtn.addEventListener('click', async () => {
+    try {
+      const { format, exporter, count, content } = await buildExport();
+      const url = URL.createObjectURL(new Blob([content], { type: exporter.mimeType(format) }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = exporter.filename(format);
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      addLogEntry('status', 'Export', `Downloaded ${link.download} (${count} changes)`, Date.now());
+    } catch (error) {
+      addLogEntry('error', 'Export', error.message, Date.now());
+    }
+  });
+
+  // ── Import ──
+
+  function renderImportReport(items) {
+    importReport.innerHTML = '';
+    items.forEach(({ status, text }) => {
+      const item = document.createElement('li');
+      item.className = status;
+      item.textContent = text;
+      importReport.appendChild(item);
+    });
+  }
+
+  loadFileBtn.addEventListener('click', () => importFile.click());
+
+  importFile.addEventListener('change', async () => {
+    const [file] = importFile.files;
+    if (!file) return;
+    importText.value = await file.text();
+    importFile.value = '';
+  });
+
+  replayBtn.addEventListener('click', async () => {
+    let changeset;
+    try {
+      changeset = JSON.parse(importText.value);
+    } catch (error) {
+      renderImportReport([{ status: 'failed', text: `Invalid JSON: ${error.message}` }]);
+      return;
+    }
+
+    let response;
+    try {
+      response = await sendToActiveTab({ action: 'replayChangeset', changeset });
+    } catch {
+      renderImportReport([{ status: 'failed', text: 'Pagician is not running on this page' }]);
+      return;
+    }
+
+    if (!response || !response.success) {
+      renderImportReport([{ status: 'failed', text: response?.error || 'Replay failed' }]);
+      return;
+    }
+
+    const items = response.report.map(step => ({
+      status: step.status,
+      text: `#${step.step} ${step.status}: ${step.selector || '(no selector)'} — ${step.detail}`
+    }));
+    if (!response.urlMatches) {
+      items.unshift({ status: 'warning', text: `Recorded on ${changeset.url}, replayed on a different page` });
+    }
+    renderImportReport(items);
+    checkPersistence();
+  });
+
   chrome.storage.onChanged.addListener((changes, namespace) => {
-    if (namespace === 'sync' && (changes.openaiApiKey || changes.anthropicApiKey)) {
+    if (namespace === 'sync' && (changes.openaiApiKey || changes.anthropicApiKey || changes.speechProvider || changes.llmProvider)) {
       checkApiKeys();
       updateUI();
     }
@@ -182,8 +361,13 @@ document.addEventListener('DOMContentLoaded', async () => {
       isActive = changes.isVoiceControlActive.newValue || false;
       updateUI();
     }
+    if (namespace === 'local' && Object.keys(changes).some(key => key.startsWith('changeset_'))) {
+      checkPersistence();
+    }
   });
 
+  chrome.tabs.onActivated.addListener(() => updateUI());
+
   // ── Activity Log ──
 
   function formatTime(ts) {
@@ -220,11 +404,42 @@ document.addEventListener('DOMContentLoaded', async () => {
     logContainer.innerHTML = '<div class="log-empty">Activity will appear here when voice control is active.</div>';
   });
 
+  // ── Level meter ──
+
+  const LEVEL_STATE_LABELS = {
+    CALIBRATING: 'Calibrating — stay quiet',
+    SILENT: 'Listening',
+    SPEAKING: 'Speech',
+    TRAILING_SILENCE: 'Speech'
+  };
+
+  // -60 dB (left) to 0 dB (right)
+  function levelPosition(rms) {
+    const db = 20 * Math.log10(Math.max(rms, 1e-6));
+    return `${Math.min(Math.max((db + 60) / 60, 0), 1) * 100}%`;
+  }
+
+  function formatDb(rms) {
+    return `${Math.round(20 * Math.log10(Math.max(rms, 1e-6)))} dB`;
+  }
+
+  function renderLevel({ rms, onset, offset, state }) {
+    if (!isActive) return;
+    levelMeter.classList.add('active');
+    levelBar.style.width = levelPosition(rms);
+    levelBar.classList.toggle('speaking', state === 'SPEAKING' || state === 'TRAILING_SILENCE');
+    levelOnset.style.left = levelPosition(onset);
+    levelOffset.style.left = levelPosition(offset);
+    levelText.textContent = `${LEVEL_STATE_LABELS[state] || state} · ${formatDb(rms)} · threshold ${formatDb(onset)}`;
+  }
+
   // Connect to background for activity log relay
   const port = chrome.runtime.connect({ name: 'sidepanel' });
   port.onMessage.addListener((msg) => {
     if (msg.type === 'activityLog') {
       addLogEntry(msg.category, msg.label, msg.content, msg.time);
+    } else if (msg.type === 'audioLevel') {
+      renderLevel(msg);
     }
   });
 